@@ -1,14 +1,29 @@
-import { useEffect, useState, useRef, useCallback } from 'react';
+import { useEffect, useState, useRef, useCallback, useMemo } from 'react';
 
 import Progress from './components/Progress';
 import ImageInput from './components/ImageInput';
 import BatchImageInput from './components/BatchImageInput';
 import CroppingTab from './components/CroppingTab';
+import ResultOverlay from './components/ResultOverlay';
+import RegionList from './components/RegionList';
+import ModelSelector from './components/ModelSelector';
+import AdvancedSettings from './components/AdvancedSettings';
+import TaskSelector from './components/TaskSelector';
+import InputsCSVInput from './components/InputsCSVInput';
+import TilingSettings from './components/TilingSettings';
 import { isFileSystemAccessSupported } from './utils/fileSystemAccess';
-import { createStreamingWriter } from './utils/streamingWriter';
+import { createStreamingWriter, StreamingZipWriter } from './utils/streamingWriter';
+import { getRegions } from './utils/regions';
+import { imagePath } from './utils/folderScan';
+import { DEFAULT_MODEL, DEFAULT_DTYPE, DEFAULT_DEVICE, DEFAULT_GENERATION, DEFAULT_BATCH_SIZE, MAX_BATCH_SIZE, findModel } from './utils/models';
+import { TASKS_WITH_INPUTS, TASKS_WITH_REGION_INPUTS, TASKS_WITH_BOXES, TASKS_WITH_TILES } from './utils/tasks';
+import { DEFAULT_TILING } from './utils/tiling';
 
 const IS_WEBGPU_AVAILABLE = !!navigator.gpu;
 const IS_FILE_SYSTEM_ACCESS_AVAILABLE = isFileSystemAccessSupported();
+// Output formats that can be appended to by a resumed run; ZIP downloads always start over
+const RESUMABLE_FORMATS = IS_FILE_SYSTEM_ACCESS_AVAILABLE ? ['csv', 'json', 'jsonl', 'individual'] : [];
+const REGION_PLACEHOLDER = '<loc_x1><loc_y1><loc_x2><loc_y2> or xmin,ymin,xmax,ymax in pixels';
 
 function App() {
 
@@ -19,22 +34,43 @@ function App() {
   const [status, setStatus] = useState(null);
   const [loadingMessage, setLoadingMessage] = useState('');
   const [progressItems, setProgressItems] = useState([]);
+  const [model, setModel] = useState(DEFAULT_MODEL);
+  const [dtype, setDtype] = useState(DEFAULT_DTYPE);
+  const [device, setDevice] = useState(DEFAULT_DEVICE);
+  const [generation, setGeneration] = useState(DEFAULT_GENERATION);
+  // Model id, resolved precision and backend reported by the worker once loaded
+  const [loadedModel, setLoadedModel] = useState(null);
 
   const [task, setTask] = useState('<OD>');
   const [text, setText] = useState('');
   const [image, setImage] = useState(null);
   const [result, setResult] = useState(null);
   const [time, setTime] = useState(null);
+  // Index of the region highlighted in the single image overlay and list
+  const [highlighted, setHighlighted] = useState(null);
 
-  // Tab mode: 'batch' or 'crop'
+  // Tab mode: 'single', 'batch' or 'crop'
   const [activeTab, setActiveTab] = useState('batch');
+  const batchMode = activeTab === 'batch';
 
   // Batch processing states
-  const [batchMode, setBatchMode] = useState(true);
+  const [batchTasks, setBatchTasks] = useState(['<OD>']);
+  // Per-image text inputs loaded from a CSV: filename -> phrase
+  const [batchInputs, setBatchInputs] = useState(null);
+  // Region task run on every detected box in a second pass, or '' to skip it
+  const [regionTask, setRegionTask] = useState('');
+  // Tiled inference of large images for region tasks
+  const [tiling, setTiling] = useState(DEFAULT_TILING);
+  // Images stacked into each generate call
+  const [batchSize, setBatchSize] = useState(DEFAULT_BATCH_SIZE);
   const [batchImages, setBatchImages] = useState([]);
   const [batchProgress, setBatchProgress] = useState({ current: 0, total: 0, filename: '' });
   const [outputFormat, setOutputFormat] = useState('csv');
+  const [resumeOutput, setResumeOutput] = useState(false);
+  const [resumedCount, setResumedCount] = useState(0);
   const [processingStats, setProcessingStats] = useState(null);
+  // Pause/cancel state of the running batch: null, 'pausing', 'paused' or 'cancelling'
+  const [batchControl, setBatchControl] = useState(null);
   
   // Streaming writer reference
   const streamingWriter = useRef(null);
@@ -82,10 +118,24 @@ function App() {
 
         case 'ready':
           // Pipeline ready: the worker is ready to accept messages.
+          if (e.data.model_id) {
+            setLoadedModel({ model_id: e.data.model_id, dtype: e.data.dtype, device: e.data.device, fp16: e.data.fp16 });
+          }
           setStatus('ready');
           break;
 
+        case 'error':
+          // Model failed to load: allow picking another one.
+          setProgressItems([]);
+          setStatus(null);
+          alert(e.data.data);
+          break;
+
         case 'complete':
+          if (e.data.error) {
+            alert('Error running model: ' + e.data.error);
+          }
+          setHighlighted(null);
           setResult(e.data.result);
           setTime(e.data.time);
           setStatus('ready');
@@ -99,16 +149,29 @@ function App() {
           });
           break;
 
+        case 'batch-paused':
+          setBatchControl(prev => prev === 'cancelling' ? prev : 'paused');
+          break;
+
+        case 'batch-resumed':
+          setBatchControl(null);
+          break;
+
         case 'batch-result':
           // Write single result to streaming writer
           if (streamingWriter.current) {
-            const writePromise = streamingWriter.current.writeResult({
+            const writer = streamingWriter.current;
+            // Chain onto the previous write so results reach the file in order
+            const previousWrite = writer.pendingWrites.at(-1) ?? Promise.resolve();
+            const writePromise = previousWrite.then(() => writer.writeResult({
               filename: e.data.filename,
-              result: e.data.result,
-              rawResult: e.data.rawResult,
+              results: e.data.results,
+              rawResults: e.data.rawResults,
+              image_size: e.data.image_size,
+              input: e.data.input,
               time: e.data.time,
               error: e.data.error
-            }).catch(err => {
+            })).catch(err => {
               console.error('Error writing result:', err);
             });
             // Track this write operation
@@ -117,13 +180,17 @@ function App() {
           break;
 
         case 'batch-complete':
+          setBatchControl(null);
           // Finalize streaming writer
           if (streamingWriter.current) {
-            streamingWriter.current.finalize().then(() => {
+            const writer = streamingWriter.current;
+            writer.finalize({ cancelled: e.data.cancelled }).then(() => {
               streamingWriter.current = null;
               setProcessingStats({
                 total: e.data.total,
-                totalTime: e.data.totalTime
+                totalTime: e.data.totalTime,
+                cancelled: e.data.cancelled,
+                downloaded: writer instanceof StreamingZipWriter
               });
               setStatus('ready');
             }).catch(err => {
@@ -149,11 +216,24 @@ function App() {
   const handleClick = useCallback(async () => {
     if (status === null) {
       setStatus('loading');
-      worker.current.postMessage({ type: 'load' });
+      worker.current.postMessage({ type: 'load', data: { ...model, dtype, device } });
     } else if (batchMode && batchImages.length > 0) {
       // Initialize streaming writer before processing
+      // Only detection tasks have boxes to describe
+      const boxesRegionTask = batchTasks.some(t => TASKS_WITH_BOXES.includes(t)) ? regionTask || null : null;
+      const batchTiling = tiling.enabled && batchTasks.some(t => TASKS_WITH_TILES.includes(t)) ? tiling : null;
       try {
-        streamingWriter.current = await createStreamingWriter(outputFormat, task);
+        streamingWriter.current = await createStreamingWriter(outputFormat, batchTasks, {
+          resume: resumeOutput && RESUMABLE_FORMATS.includes(outputFormat),
+          model_id: loadedModel?.model_id ?? model.model_id,
+          dtype: loadedModel?.dtype,
+          device: loadedModel?.device,
+          generation,
+          region_task: boxesRegionTask,
+          tiling: batchTiling,
+          batch_size: batchSize,
+          fp16: loadedModel?.fp16
+        });
       } catch (err) {
         if (err.name === 'AbortError') {
           console.log('User cancelled file/folder selection');
@@ -163,28 +243,94 @@ function App() {
         return;
       }
 
+      // Only send images that are not already in a resumed output
+      const { completed } = streamingWriter.current;
+      const remainingImages = batchImages.filter(file => !completed.has(imagePath(file)));
+      setResumedCount(batchImages.length - remainingImages.length);
+
+      if (remainingImages.length === 0) {
+        await streamingWriter.current.finalize();
+        streamingWriter.current = null;
+        alert('All selected images are already present in the output.');
+        return;
+      }
+
       // Batch processing
       setStatus('running');
       setProcessingStats(null);
-      setBatchProgress({ current: 0, total: batchImages.length, filename: '' });
+      setBatchProgress({ current: 0, total: remainingImages.length, filename: '' });
       
-      const imageDataArray = batchImages.map(file => ({
-        name: file.name,
-        url: URL.createObjectURL(file)
-      }));
+      // Images from nested folders are named by their relative path
+      const imageDataArray = remainingImages.map(file => {
+        const name = imagePath(file);
+        const input = batchInputs?.get(name) ?? batchInputs?.get(file.name);
+        return {
+          name,
+          url: URL.createObjectURL(file),
+          ...(input !== undefined && { text: input })
+        };
+      });
 
       worker.current.postMessage({
         type: 'run-batch',
-        data: { images: imageDataArray, task, text }
+        data: {
+          images: imageDataArray,
+          tasks: batchTasks,
+          text,
+          generation,
+          regionTask: boxesRegionTask,
+          tiling: batchTiling,
+          batchSize
+        }
       });
     } else if (!batchMode && image) {
       // Single image processing
       setStatus('running');
       worker.current.postMessage({
-        type: 'run', data: { text, url: image, task }
+        type: 'run', data: { text, url: image, task, generation }
       });
     }
-  }, [status, task, image, text, batchMode, batchImages, outputFormat]);
+  }, [status, task, image, text, batchMode, batchImages, batchTasks, batchInputs, regionTask, tiling, batchSize, outputFormat, resumeOutput, model, dtype, device, generation, loadedModel]);
+
+  const handleModelChange = useCallback((value) => {
+    setModel(value);
+    // The new model is loaded the next time "Load model" is clicked
+    setStatus(prev => prev === 'ready' ? null : prev);
+    setResult(null);
+  }, []);
+
+  const handleDtypeChange = useCallback((value) => {
+    setDtype(value);
+    // Precision is fixed when the model is loaded
+    setStatus(prev => prev === 'ready' ? null : prev);
+    setResult(null);
+  }, []);
+
+  const handleDeviceChange = useCallback((value) => {
+    setDevice(value);
+    // The backend is fixed when the model is loaded
+    setStatus(prev => prev === 'ready' ? null : prev);
+    setResult(null);
+  }, []);
+
+  const modelInfo = findModel(model.model_id);
+
+  const regions = useMemo(() => getRegions(result?.[task]), [result, task]);
+
+  const handlePauseToggle = useCallback(() => {
+    if (batchControl === 'paused' || batchControl === 'pausing') {
+      worker.current.postMessage({ type: 'resume' });
+      setBatchControl(null);
+    } else {
+      worker.current.postMessage({ type: 'pause' });
+      setBatchControl('pausing');
+    }
+  }, [batchControl]);
+
+  const handleCancel = useCallback(() => {
+    worker.current.postMessage({ type: 'cancel' });
+    setBatchControl('cancelling');
+  }, []);
 
   const handleBatchImagesSelected = useCallback((files) => {
     setBatchImages(files);
@@ -193,274 +339,416 @@ function App() {
   }, []);
 
   return (
-    IS_WEBGPU_AVAILABLE
-      ? (<div className="flex flex-col h-screen mx-auto items justify-end text-gray-800 dark:text-gray-200 bg-white dark:bg-gray-900 max-w-[630px]">
-
-        {status === 'loading' && (
-          <div className="flex justify-center items-center fixed w-screen h-screen bg-black z-10 bg-opacity-[92%] top-0 left-0">
-            <div className="w-[500px]">
-              <p className="text-center mb-1 text-white text-md">{loadingMessage}</p>
-              {progressItems.map(({ file, progress, total }, i) => (
-                <Progress key={i} text={file} percentage={progress} total={total} />
-              ))}
-            </div>
-          </div>
-        )}
-        <div className="h-full overflow-auto scrollbar-thin flex justify-center items-center flex-col relative">
-          <div className="flex flex-col items-center mb-1 text-center">
-            <h1 className="text-6xl font-bold mb-2">Florence2 WebGPU</h1>
-            <h2 className="text-xl font-semibold">Powerful vision foundation model running locally in your browser.</h2>
+    <div className="flex flex-col h-screen mx-auto items justify-end text-gray-800 dark:text-gray-200 bg-white dark:bg-gray-900 max-w-[630px]">
+
+      {status === 'loading' && (
+        <div className="flex justify-center items-center fixed w-screen h-screen bg-black z-10 bg-opacity-[92%] top-0 left-0">
+          <div className="w-[500px]">
+            <p className="text-center mb-1 text-white text-md">{loadingMessage}</p>
+            {progressItems.map(({ file, progress, total }, i) => (
+              <Progress key={i} text={file} percentage={progress} total={total} />
+            ))}
           </div>
+        </div>
+      )}
+      <div className="h-full overflow-auto scrollbar-thin flex justify-center items-center flex-col relative">
+        <div className="flex flex-col items-center mb-1 text-center">
+          <h1 className="text-6xl font-bold mb-2">Florence2 WebGPU</h1>
+          <h2 className="text-xl font-semibold">Powerful vision foundation model running locally in your browser.</h2>
+        </div>
 
-          <div className="w-full min-h-[220px] flex flex-col justify-center items-center p-2">
-
-            <p className="mb-2">
-              You are about to download <a href="https://huggingface.co/onnx-community/Florence-2-base-ft" target="_blank" rel="noreferrer" className="font-medium underline">Florence-2-base-ft</a>,
-              a 230 million parameter vision foundation model that uses a prompt-based approach to handle a wide range of vision and vision-language tasks like captioning, object detection, and segmentation.
-              Once loaded, the model (340&nbsp;MB) will be cached and reused when you revisit the page.<br />
-              <br />
-              Everything runs locally in your browser using <a href="https://huggingface.co/docs/transformers.js" target="_blank" rel="noreferrer" className="underline">🤗&nbsp;Transformers.js</a> and ONNX Runtime Web,
-              meaning no API calls are made to a server for inference. You can even disconnect from the internet after the model has loaded!
+        <div className="w-full min-h-[220px] flex flex-col justify-center items-center p-2">
+
+          <p className="mb-2">
+            You are about to download {modelInfo
+              ? <a href={`https://huggingface.co/${modelInfo.id}`} target="_blank" rel="noreferrer" className="font-medium underline">{modelInfo.name}</a>
+              : <span className="font-medium">{model.model_id || 'a custom model'}</span>},
+            a {modelInfo ? `${modelInfo.params} parameter ` : ''}vision foundation model that uses a prompt-based approach to handle a wide range of vision and vision-language tasks like captioning, object detection, and segmentation.
+            Once loaded, the model{modelInfo?.size ? <> ({modelInfo.size.replace(' ', '\u00a0')})</> : ''} will be cached and reused when you revisit the page.<br />
+            <br />
+            Everything runs locally in your browser using <a href="https://huggingface.co/docs/transformers.js" target="_blank" rel="noreferrer" className="underline">🤗&nbsp;Transformers.js</a> and ONNX Runtime Web,
+            meaning no API calls are made to a server for inference. You can even disconnect from the internet after the model has loaded!
+          </p>
+
+          <ModelSelector
+            value={model}
+            onChange={handleModelChange}
+            disabled={status === 'loading' || status === 'running'}
+          />
+
+          <AdvancedSettings
+            dtype={dtype}
+            onDtypeChange={handleDtypeChange}
+            device={device}
+            onDeviceChange={handleDeviceChange}
+            webgpu={IS_WEBGPU_AVAILABLE}
+            generation={generation}
+            onGenerationChange={setGeneration}
+            disabled={status === 'loading' || status === 'running'}
+          />
+
+          {status !== null && loadedModel?.device ? (
+            <p className="text-sm text-gray-500 mb-4">
+              Running on {loadedModel.device === 'webgpu' ? 'the GPU (WebGPU)' : 'the CPU (WASM); inference is much slower than with WebGPU'}
+            </p>
+          ) : !IS_WEBGPU_AVAILABLE && (
+            <p className="text-sm text-gray-500 mb-4">
+              WebGPU is not supported by this browser, so the model will run on the CPU (WASM). Batch jobs, crops and exports all work, just slower.
             </p>
+          )}
+
+          {/* Mode Toggle */}
+          <div className="flex gap-2 mb-4">
+            <button
+              className={`px-4 py-2 rounded-md ${activeTab === 'single' ? 'bg-blue-500 text-white' : 'bg-gray-200'}`}
+              onClick={() => {
+                setActiveTab('single');
+              }}
+              disabled={status === 'running'}
+            >
+              Single Image
+            </button>
+            <button
+              className={`px-4 py-2 rounded-md ${activeTab === 'batch' ? 'bg-blue-500 text-white' : 'bg-gray-200'}`}
+              onClick={() => {
+                setActiveTab('batch');
+                setResult(null);
+                setImage(null);
+              }}
+              disabled={status === 'running'}
+            >
+              Batch Processing
+            </button>
+            <button
+              className={`px-4 py-2 rounded-md ${activeTab === 'crop' ? 'bg-blue-500 text-white' : 'bg-gray-200'}`}
+              onClick={() => {
+                setActiveTab('crop');
+              }}
+            >
+              Crop Images
+            </button>
+          </div>
 
-            {/* Mode Toggle */}
-            <div className="flex gap-2 mb-4">
-              <button
-                className={`px-4 py-2 rounded-md ${activeTab === 'batch' ? 'bg-blue-500 text-white' : 'bg-gray-200'}`}
-                onClick={() => {
-                  setActiveTab('batch');
-                  setBatchMode(true);
-                  setResult(null);
-                  setImage(null);
-                }}
-                disabled={status === 'running' || !IS_FILE_SYSTEM_ACCESS_AVAILABLE}
-              >
-                Batch Processing
-              </button>
-              <button
-                className={`px-4 py-2 rounded-md ${activeTab === 'crop' ? 'bg-blue-500 text-white' : 'bg-gray-200'}`}
-                onClick={() => {
-                  setActiveTab('crop');
-                }}
-                disabled={!IS_FILE_SYSTEM_ACCESS_AVAILABLE}
-              >
-                Crop Images
-              </button>
-            </div>
-
-            {!IS_FILE_SYSTEM_ACCESS_AVAILABLE && (
-              <p className="text-sm text-orange-600 mb-2">
-                Note: These features require File System Access API support (Chrome, Edge, or Opera).
-              </p>
-            )}
+          {!IS_FILE_SYSTEM_ACCESS_AVAILABLE && (
+            <p className="text-sm text-orange-600 mb-2">
+              Note: this browser cannot save into folders (File System Access API), so batch results and crops are downloaded as a ZIP file when done, and runs cannot be resumed. For very large batches use Chrome, Edge or Opera.
+            </p>
+          )}
+
+          {activeTab === 'crop' ? (
+            <CroppingTab />
+          ) : (
+            <div className="flex w-full justify-around m-4">
+            {!batchMode ? (
+              // Single image mode UI
+              <div className="flex flex-col gap-4 w-full">
+              <div className="flex w-full justify-around">
+                <div className="flex flex-col gap-2 w-full max-w-[48%]">
+                  <div className="flex flex-col">
+                    <span className="text-sm mb-0.5">Task</span>
+                    <TaskSelector value={task} onChange={setTask} />
+                  </div>
+                  <div className="flex flex-col">
+                    <span className="text-sm mb-0.5">Input Image</span>
+                    <ImageInput className="flex flex-col items-center border border-gray-300 rounded-md cursor-pointer h-[250px]" onImageChange={(file, result) => {
+                      worker.current.postMessage({ type: 'reset' }); // Reset image cache
+                      setResult(null);
+                      setHighlighted(null);
+                      setImage(result);
+                    }} />
+                  </div>
+                </div>
+                <div className="flex flex-col gap-2 w-full max-w-[48%] justify-end">
+                  {
+                    TASKS_WITH_INPUTS.includes(task)
+                    && (<div className="flex flex-col">
+                      <span className="text-sm mb-0.5">{TASKS_WITH_REGION_INPUTS.includes(task) ? 'Region' : 'Text input'}</span>
+                      <input className="border rounded-md px-2 py-[3.5px]"
+                        placeholder={TASKS_WITH_REGION_INPUTS.includes(task) ? REGION_PLACEHOLDER : ''}
+                        value={text}
+                        onChange={(e) => setText(e.target.value)}
+                      />
+                    </div>)
+                  }
+
+                  <div className="flex flex-col relative">
+                    <span className="text-sm mb-0.5">Output</span>
+                    <div className="flex justify-center border border-gray-300 rounded-md h-[250px]">
+                      {result?.[task] && (<>
+                        {
+                          typeof result[task] === 'string'
+                            ? <p className="pt-4 px-4 text-center max-h-[205px] overflow-y-auto">{result[task]}</p>
+                            : regions.length > 0
+                              ? <RegionList regions={regions} highlighted={highlighted} onHighlight={setHighlighted} />
+                              : <pre className="w-full h-full p-2 overflow-y-auto">
+                                {JSON.stringify(result[task], null, 2)}
+                              </pre>
+                        }
+                        {
+                          time && <p className="text-sm text-gray-500 absolute bottom-2 bg-white p-1 rounded border">Execution time: {time.toFixed(2)} ms</p>
+                        }
+                      </>)
+                      }
+                    </div>
 
-            {activeTab === 'crop' ? (
-              <CroppingTab />
+                  </div>
+                </div>
+              </div>
+              {image && regions.length > 0 && (
+                <div className="flex justify-center">
+                  <ResultOverlay src={image} regions={regions} highlighted={highlighted} onHighlight={setHighlighted} />
+                </div>
+              )}
+              </div>
             ) : (
-              <div className="flex w-full justify-around m-4">
-              {!batchMode ? (
-                // Single image mode UI
-                <>
-                  <div className="flex flex-col gap-2 w-full max-w-[48%]">
+              // Batch mode UI
+              <div className="flex flex-col gap-4 w-full">
+                <div className="flex gap-4">
+                  <div className="flex flex-col gap-2 w-1/2">
                     <div className="flex flex-col">
-                      <span className="text-sm mb-0.5">Task</span>
-                      <select
-                        className="border rounded-md p-1"
-                        value={task}
-                        onChange={(e) => setTask(e.target.value)}
-                      >
-                        <option value="<OD>">Object Detection</option>
-                        <option value="<OCR_WITH_REGION>">OCR with Region</option>
-                        <option value="<CAPTION>">Caption</option>
-                        <option value="<DETAILED_CAPTION>">Detailed Caption</option>
-                        <option value="<MORE_DETAILED_CAPTION>">More Detailed Caption</option>
-                        {/* <option value="<OCR>">OCR</option> */}
-                        <option value="<DENSE_REGION_CAPTION>">Dense Region Caption</option>
-                        {/* <option value="<CAPTION_TO_PHRASE_GROUNDING>">Caption to Phrase Grounding</option> */}
-                      </select>
-                    </div>
-                    <div className="flex flex-col">
-                      <span className="text-sm mb-0.5">Input Image</span>
-                      <ImageInput className="flex flex-col items-center border border-gray-300 rounded-md cursor-pointer h-[250px]" onImageChange={(file, result) => {
-                        worker.current.postMessage({ type: 'reset' }); // Reset image cache
-                        setResult(null);
-                        setImage(result);
-                      }} />
+                      <span className="text-sm mb-0.5">Tasks</span>
+                      <TaskSelector
+                        value={batchTasks}
+                        onChange={setBatchTasks}
+                        multiple
+                        disabled={status === 'running'}
+                      />
+                      {batchTasks.length > 1 && (
+                        <p className="text-xs text-gray-500 mt-1">
+                          Each image is preprocessed once and every selected task is run on it
+                        </p>
+                      )}
                     </div>
-                  </div>
-                  <div className="flex flex-col gap-2 w-full max-w-[48%] justify-end">
-                    {
-                      task === '<CAPTION_TO_PHRASE_GROUNDING>'
-                      && (<div className="flex flex-col">
-                        <span className="text-sm mb-0.5">Text input</span>
-                        <input className="border rounded-md px-2 py-[3.5px]"
+
+                    {batchTasks.some(t => TASKS_WITH_INPUTS.includes(t)) && (
+                      <div className="flex flex-col">
+                        <span className="text-sm mb-0.5">
+                          {batchTasks.every(t => !TASKS_WITH_INPUTS.includes(t) || TASKS_WITH_REGION_INPUTS.includes(t)) ? 'Region' : 'Text input'}
+                        </span>
+                        <input 
+                          className="border rounded-md px-2 py-[3.5px] mb-2"
+                          placeholder={batchTasks.some(t => TASKS_WITH_REGION_INPUTS.includes(t)) ? REGION_PLACEHOLDER : ''}
                           value={text}
                           onChange={(e) => setText(e.target.value)}
+                          disabled={status === 'running'}
+                        />
+                        <InputsCSVInput
+                          inputs={batchInputs}
+                          onChange={setBatchInputs}
+                          disabled={status === 'running'}
                         />
-                      </div>)
-                    }
-
-                    <div className="flex flex-col relative">
-                      <span className="text-sm mb-0.5">Output</span>
-                      <div className="flex justify-center border border-gray-300 rounded-md h-[250px]">
-                        {result?.[task] && (<>
-                          {
-                            typeof result[task] === 'string'
-                              ? <p className="pt-4 px-4 text-center max-h-[205px] overflow-y-auto">{result[task]}</p>
-                              : <pre className="w-full h-full p-2 overflow-y-auto">
-                                {JSON.stringify(result[task], null, 2)}
-                              </pre>
-                          }
-                          {
-                            time && <p className="text-sm text-gray-500 absolute bottom-2 bg-white p-1 rounded border">Execution time: {time.toFixed(2)} ms</p>
-                          }
-                        </>)
-                        }
                       </div>
+                    )}
 
-                    </div>
-                  </div>
-                </>
-              ) : (
-                // Batch mode UI
-                <div className="flex flex-col gap-4 w-full">
-                  <div className="flex gap-4">
-                    <div className="flex flex-col gap-2 w-1/2">
+                    {batchTasks.some(t => TASKS_WITH_BOXES.includes(t)) && (
                       <div className="flex flex-col">
-                        <span className="text-sm mb-0.5">Task</span>
+                        <span className="text-sm mb-0.5">Describe each detection</span>
                         <select
                           className="border rounded-md p-1"
-                          value={task}
-                          onChange={(e) => setTask(e.target.value)}
+                          value={regionTask}
+                          onChange={(e) => setRegionTask(e.target.value)}
                           disabled={status === 'running'}
                         >
-                          <option value="<OD>">Object Detection</option>
-                          <option value="<CAPTION>">Caption</option>
-                          <option value="<DETAILED_CAPTION>">Detailed Caption</option>
-                          <option value="<MORE_DETAILED_CAPTION>">More Detailed Caption</option>
-                          <option value="<DENSE_REGION_CAPTION>">Dense Region Caption</option>
-                          <option value="<OCR>">OCR</option>
-                          <option value="<OCR_WITH_REGION>">OCR with Region</option>
-                          
-                          
-                          {/* <option value="<CAPTION_TO_PHRASE_GROUNDING>">Caption to Phrase Grounding</option> */}
+                          <option value="">Off</option>
+                          <option value="<REGION_TO_DESCRIPTION>">Region to Description</option>
+                          <option value="<REGION_TO_CATEGORY>">Region to Category</option>
                         </select>
+                        {regionTask && (
+                          <p className="text-xs text-gray-500 mt-1">
+                            Runs the model once more per detected box and adds a description column
+                          </p>
+                        )}
                       </div>
+                    )}
 
-                      {task === '<CAPTION_TO_PHRASE_GROUNDING>' && (
-                        <div className="flex flex-col">
-                          <span className="text-sm mb-0.5">Text input</span>
-                          <input 
-                            className="border rounded-md px-2 py-[3.5px]"
-                            value={text}
-                            onChange={(e) => setText(e.target.value)}
-                            disabled={status === 'running'}
-                          />
-                        </div>
-                      )}
+                    {batchTasks.some(t => TASKS_WITH_TILES.includes(t)) && (
+                      <TilingSettings
+                        tiling={tiling}
+                        onChange={setTiling}
+                        disabled={status === 'running'}
+                      />
+                    )}
 
-                      <BatchImageInput 
-                        onImagesSelected={handleBatchImagesSelected}
+                    <div className="flex flex-col">
+                      <span className="text-sm mb-0.5">Images per batch</span>
+                      <input
+                        type="number"
+                        className="border rounded-md px-2 py-[3.5px]"
+                        min={1}
+                        max={MAX_BATCH_SIZE}
+                        value={batchSize}
+                        onChange={(e) => {
+                          const value = Math.floor(Number(e.target.value));
+                          if (Number.isFinite(value)) {
+                            setBatchSize(Math.min(MAX_BATCH_SIZE, Math.max(1, value)));
+                          }
+                        }}
                         disabled={status === 'running'}
                       />
+                      <p className="text-xs text-gray-500 mt-1">
+                        Runs several images through the model at once; faster on GPUs with memory to spare. Results are still saved in order
+                      </p>
+                    </div>
 
-                      <div className="flex flex-col">
-                        <span className="text-sm mb-0.5">Output Format</span>
-                        <select
-                          className="border rounded-md p-1"
-                          value={outputFormat}
-                          onChange={(e) => setOutputFormat(e.target.value)}
-                          disabled={status === 'running'}
-                        >
-                          <option value="csv">CSV File</option>
-                          <option value="json">Single JSON File</option>
-                          <option value="individual">Individual JSON Files</option>
-                        </select>
+                    <BatchImageInput 
+                      onImagesSelected={handleBatchImagesSelected}
+                      disabled={status === 'running'}
+                    />
+
+                    <div className="flex flex-col">
+                      <span className="text-sm mb-0.5">Output Format</span>
+                      <select
+                        className="border rounded-md p-1"
+                        value={outputFormat}
+                        onChange={(e) => setOutputFormat(e.target.value)}
+                        disabled={status === 'running'}
+                      >
+                        <option value="csv">CSV File</option>
+                        <option value="json">Single JSON File</option>
+                        <option value="jsonl">JSON Lines File</option>
+                        <option value="individual">Individual JSON Files</option>
+                        <option value="coco">COCO JSON (detection/OCR)</option>
+                        <option value="yolo">YOLO Labels (folder)</option>
+                        <option value="voc">Pascal VOC XML (folder)</option>
+                      </select>
+                      <p className="text-xs text-gray-500 mt-1">
+                        {IS_FILE_SYSTEM_ACCESS_AVAILABLE
+                          ? "You'll select the output location before processing starts"
+                          : 'The output is downloaded as a ZIP file when processing ends'}
+                      </p>
+                      <label className="flex items-center gap-2 text-sm mt-2">
+                        <input
+                          type="checkbox"
+                          checked={resumeOutput && RESUMABLE_FORMATS.includes(outputFormat)}
+                          onChange={(e) => setResumeOutput(e.target.checked)}
+                          disabled={status === 'running' || !RESUMABLE_FORMATS.includes(outputFormat)}
+                        />
+                        Resume into an existing output
+                      </label>
+                      {resumeOutput && RESUMABLE_FORMATS.includes(outputFormat) && (
                         <p className="text-xs text-gray-500 mt-1">
-                          You'll select the output location before processing starts
+                          Images already present in the chosen output are skipped and new results are appended to it
                         </p>
+                      )}
+                    </div>
+
+                    {status === 'running' && (
+                      <div className="mt-2 p-3 bg-blue-50 rounded-md">
+                        <p className="text-sm font-medium">
+                          Processing: {batchProgress.current} / {batchProgress.total}
+                        </p>
+                        <p className="text-xs text-gray-600 mt-1 truncate">
+                          Current: {batchProgress.filename}
+                        </p>
+                        {resumedCount > 0 && (
+                          <p className="text-xs text-gray-600 mt-1">
+                            Skipped {resumedCount} already processed
+                          </p>
+                        )}
+                        <div className="w-full bg-gray-200 rounded-full h-2 mt-2">
+                          <div 
+                            className="bg-blue-500 h-2 rounded-full transition-all" 
+                            style={{ width: `${(batchProgress.current / batchProgress.total) * 100}%` }}
+                          />
+                        </div>
+                        <p className="text-xs text-gray-500 mt-2">
+                          {batchControl === 'pausing' ? `Pausing after the current ${batchSize > 1 ? 'batch' : 'image'}...`
+                            : batchControl === 'paused' ? 'Paused. Results so far are saved.'
+                              : batchControl === 'cancelling' ? `Cancelling after the current ${batchSize > 1 ? 'batch' : 'image'}...`
+                                : 'Results are being saved as you process...'}
+                        </p>
+                        <div className="flex gap-2 mt-2">
+                          <button
+                            className="border px-3 py-1 rounded-md bg-gray-100 hover:bg-gray-200 disabled:bg-gray-50 disabled:cursor-not-allowed text-sm"
+                            onClick={handlePauseToggle}
+                            disabled={batchControl === 'cancelling'}
+                          >
+                            {batchControl === 'paused' || batchControl === 'pausing' ? 'Continue' : 'Pause'}
+                          </button>
+                          <button
+                            className="border px-3 py-1 rounded-md bg-gray-100 hover:bg-red-100 disabled:bg-gray-50 disabled:cursor-not-allowed text-sm"
+                            onClick={handleCancel}
+                            disabled={batchControl === 'cancelling'}
+                          >
+                            Cancel
+                          </button>
+                        </div>
                       </div>
+                    )}
+                  </div>
 
-                      {status === 'running' && (
-                        <div className="mt-2 p-3 bg-blue-50 rounded-md">
-                          <p className="text-sm font-medium">
-                            Processing: {batchProgress.current} / {batchProgress.total}
+                  <div className="flex flex-col gap-2 w-1/2">
+                    <span className="text-sm mb-0.5">Status</span>
+                    <div className="border border-gray-300 rounded-md p-3 h-[300px] flex flex-col justify-center items-center">
+                      {processingStats ? (
+                        <div className="text-center">
+                          <div className="mb-4">
+                            <svg className="w-16 h-16 text-green-500 mx-auto" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
+                            </svg>
+                          </div>
+                          <p className="text-lg font-semibold mb-2">
+                            {processingStats.cancelled ? 'Processing Cancelled' : 'Processing Complete!'}
                           </p>
-                          <p className="text-xs text-gray-600 mt-1 truncate">
-                            Current: {batchProgress.filename}
+                          <p className="text-sm text-gray-600">
+                            Processed {processingStats.total} images
+                          </p>
+                          {resumedCount > 0 && (
+                            <p className="text-sm text-gray-600">
+                              Skipped {resumedCount} already in the output
+                            </p>
+                          )}
+                          <p className="text-sm text-gray-600">
+                            Total time: {(processingStats.totalTime / 1000).toFixed(2)}s
                           </p>
-                          <div className="w-full bg-gray-200 rounded-full h-2 mt-2">
-                            <div 
-                              className="bg-blue-500 h-2 rounded-full transition-all" 
-                              style={{ width: `${(batchProgress.current / batchProgress.total) * 100}%` }}
-                            />
-                          </div>
                           <p className="text-xs text-gray-500 mt-2">
-                            Results are being saved as you process...
+                            {processingStats.downloaded
+                              ? 'Results have been downloaded as a ZIP file'
+                              : 'Results have been saved to your selected location'}
                           </p>
                         </div>
-                      )}
-                    </div>
-
-                    <div className="flex flex-col gap-2 w-1/2">
-                      <span className="text-sm mb-0.5">Status</span>
-                      <div className="border border-gray-300 rounded-md p-3 h-[300px] flex flex-col justify-center items-center">
-                        {processingStats ? (
-                          <div className="text-center">
-                            <div className="mb-4">
-                              <svg className="w-16 h-16 text-green-500 mx-auto" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
-                              </svg>
-                            </div>
-                            <p className="text-lg font-semibold mb-2">Processing Complete!</p>
-                            <p className="text-sm text-gray-600">
-                              Processed {processingStats.total} images
-                            </p>
-                            <p className="text-sm text-gray-600">
-                              Total time: {(processingStats.totalTime / 1000).toFixed(2)}s
-                            </p>
-                            <p className="text-xs text-gray-500 mt-2">
-                              Results have been saved to your selected location
-                            </p>
-                          </div>
-                        ) : status === 'running' ? (
-                          <div className="text-center">
+                      ) : status === 'running' ? (
+                        <div className="text-center">
+                          {batchControl === 'paused' ? (
+                            <p className="text-sm text-gray-600">Paused</p>
+                          ) : (<>
                             <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500 mx-auto mb-4"></div>
                             <p className="text-sm text-gray-600">Processing and saving results...</p>
-                          </div>
-                        ) : (
-                          <p className="text-sm text-gray-500">Ready to process. Select images, choose output format, and click "Run model".</p>
-                        )}
-                      </div>
+                          </>)}
+                        </div>
+                      ) : (
+                        <p className="text-sm text-gray-500">Ready to process. Select images, choose output format, and click "Run model".</p>
+                      )}
                     </div>
                   </div>
                 </div>
-              )}
-            </div>
-            )}
-
-            {activeTab === 'batch' && (
-              <button
-                className="border px-4 py-2 rounded-lg bg-blue-400 text-white hover:bg-blue-500 disabled:bg-blue-100 disabled:cursor-not-allowed select-none"
-                onClick={handleClick}
-                disabled={
-                  status === 'running' || 
-                  (status !== null && !batchMode && image === null) ||
-                  (status !== null && batchMode && batchImages.length === 0)
-                }
-              >
-                {status === null ? 'Load model' :
-                  status === 'running'
-                    ? batchMode ? `Processing ${batchProgress.current}/${batchProgress.total}...` : 'Running...'
-                    : 'Run model'
-                }
-              </button>
+              </div>
             )}
           </div>
+          )}
+
+          {activeTab !== 'crop' && (
+            <button
+              className="border px-4 py-2 rounded-lg bg-blue-400 text-white hover:bg-blue-500 disabled:bg-blue-100 disabled:cursor-not-allowed select-none"
+              onClick={handleClick}
+              disabled={
+                status === 'running' || 
+                (status === null && !model.model_id) ||
+                (status !== null && !batchMode && image === null) ||
+                (status !== null && batchMode && (batchImages.length === 0 || batchTasks.length === 0))
+              }
+            >
+              {status === null ? 'Load model' :
+                status === 'running'
+                  ? batchMode ? `Processing ${batchProgress.current}/${batchProgress.total}...` : 'Running...'
+                  : 'Run model'
+              }
+            </button>
+          )}
         </div>
+      </div>
 
-      </div >)
-      : (<div className="fixed w-screen h-screen bg-black z-10 bg-opacity-[92%] text-white text-2xl font-semibold flex justify-center items-center text-center">WebGPU is not supported<br />by this browser :&#40;</div>)
+    </div>
   )
 }
 
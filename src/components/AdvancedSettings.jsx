@@ -0,0 +1,80 @@
+import { SUBMODELS, DTYPES, DEVICES } from '../utils/models';
+
+const GENERATION_FIELDS = [
+    { key: 'max_new_tokens', name: 'Max new tokens', min: 1, max: 4096, step: 1 },
+    { key: 'num_beams', name: 'Beams', min: 1, max: 10, step: 1 },
+    { key: 'repetition_penalty', name: 'Repetition penalty', min: 1, max: 2, step: 0.05 },
+];
+
+export default function AdvancedSettings({ dtype, onDtypeChange, device, onDeviceChange, webgpu, generation, onGenerationChange, disabled }) {
+    return (
+        <details className="w-full max-w-[400px] mb-4 text-sm">
+            <summary className="cursor-pointer select-none">Advanced settings</summary>
+            <div className="flex flex-col gap-3 mt-2">
+                <div className="flex flex-col gap-1">
+                    <label className="flex justify-between items-center gap-2">
+                        <span className="font-medium">Backend</span>
+                        <select
+                            className="border rounded-md p-1"
+                            value={device}
+                            onChange={(e) => onDeviceChange(e.target.value)}
+                            disabled={disabled}
+                        >
+                            {DEVICES.map(({ value, name }) => (
+                                <option key={value} value={value} disabled={value === 'webgpu' && !webgpu}>{name}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <p className="text-xs text-gray-500">
+                        Automatic uses WebGPU when available and falls back to WASM on the CPU, which is much slower. Changing it requires loading the model again.
+                    </p>
+                </div>
+                <div className="flex flex-col gap-1">
+                    <span className="font-medium">Precision per submodel</span>
+                    {SUBMODELS.map(({ key, name }) => (
+                        <label key={key} className="flex justify-between items-center gap-2">
+                            {name}
+                            <select
+                                className="border rounded-md p-1 w-24"
+                                value={dtype[key]}
+                                onChange={(e) => onDtypeChange({ ...dtype, [key]: e.target.value })}
+                                disabled={disabled}
+                            >
+                                {DTYPES.map(value => <option key={value} value={value}>{value}</option>)}
+                            </select>
+                        </label>
+                    ))}
+                    <p className="text-xs text-gray-500">
+                        Higher precision improves quality (especially OCR) at the cost of size and speed. Changing it requires loading the model again.
+                    </p>
+                </div>
+                <div className="flex flex-col gap-1">
+                    <span className="font-medium">Generation</span>
+                    {GENERATION_FIELDS.map(({ key, name, min, max, step }) => (
+                        <label key={key} className="flex justify-between items-center gap-2">
+                            {name}
+                            <input
+                                type="number"
+                                className="border rounded-md px-2 py-[3.5px] w-24"
+                                min={min}
+                                max={max}
+                                step={step}
+                                value={generation[key]}
+                                onChange={(e) => {
+                                    const value = Number(e.target.value);
+                                    if (Number.isFinite(value)) {
+                                        onGenerationChange({ ...generation, [key]: Math.min(max, Math.max(min, value)) });
+                                    }
+                                }}
+                                disabled={disabled}
+                            />
+                        </label>
+                    ))}
+                    <p className="text-xs text-gray-500">
+                        Raise max new tokens for long captions or dense OCR output.
+                    </p>
+                </div>
+            </div>
+        </details>
+    );
+}
@@ -1,8 +1,12 @@
 import { useState } from 'react';
 import { pickMultipleImages, pickImageDirectory } from '../utils/fileSystemAccess';
+import { DEFAULT_SCAN_OPTIONS } from '../utils/folderScan';
+import FolderScanSettings from './FolderScanSettings';
+import ImageDropZone from './ImageDropZone';
 
 export default function BatchImageInput({ onImagesSelected, disabled }) {
     const [selectedFiles, setSelectedFiles] = useState([]);
+    const [scanOptions, setScanOptions] = useState(DEFAULT_SCAN_OPTIONS);
 
     const handleFileSelect = async () => {
         const files = await pickMultipleImages();
@@ -12,11 +16,21 @@ export default function BatchImageInput({ onImagesSelected, disabled }) {
         }
     };
 
+    const handleDrop = (files) => {
+        setSelectedFiles(files);
+        onImagesSelected(files);
+    };
+
     const handleDirectorySelect = async () => {
-        const files = await pickImageDirectory();
-        if (files.length > 0) {
-            setSelectedFiles(files);
-            onImagesSelected(files);
+        try {
+            const files = await pickImageDirectory(scanOptions);
+            if (files.length > 0) {
+                setSelectedFiles(files);
+                onImagesSelected(files);
+            }
+        } catch (err) {
+            console.error('Error reading image folder:', err);
+            alert('Error reading image folder: ' + err.message);
         }
     };
 
@@ -39,6 +53,8 @@ export default function BatchImageInput({ onImagesSelected, disabled }) {
                     Select Folder
                 </button>
             </div>
+            <ImageDropZone scanOptions={scanOptions} onImagesSelected={handleDrop} disabled={disabled} />
+            <FolderScanSettings options={scanOptions} onChange={setScanOptions} disabled={disabled} />
             {selectedFiles.length > 0 && (
                 <div className="text-sm text-gray-600">
                     {selectedFiles.length} image{selectedFiles.length !== 1 ? 's' : ''} selected
@@ -0,0 +1,115 @@
+import { BOX_FORMATS, COORDINATE_UNITS, mapDetection, validateColumnMapping, withBoxFormat } from '../utils/columnMapping';
+
+const ROLES = [
+    { key: 'image', name: 'Image filename', required: true },
+    { key: 'label', name: 'Label' },
+    { key: 'score', name: 'Score' },
+    { key: 'id', name: 'Detection id' },
+];
+
+/**
+ * Format a coordinate for the preview table
+ * @param {number} value
+ * @returns {string}
+ */
+function formatCoordinate(value) {
+    return Number.isFinite(value) ? String(Math.round(value * 1000) / 1000) : '?';
+}
+
+/**
+ * Map the columns of a detection CSV to image, label, box and score, with a preview of the first rows
+ */
+export default function ColumnMapping({ headers, rows, mapping, onChange, disabled }) {
+    const { fields } = BOX_FORMATS.find(f => f.value === mapping.format);
+    const problem = validateColumnMapping(mapping);
+
+    const columnSelect = (value, onSelect, optional) => (
+        <select
+            className="border rounded-md p-1 w-40"
+            value={value}
+            onChange={(e) => onSelect(e.target.value)}
+            disabled={disabled}
+        >
+            {optional && <option value="">(none)</option>}
+            {!optional && !value && <option value="">Choose a column</option>}
+            {headers.map(header => <option key={header} value={header}>{header}</option>)}
+        </select>
+    );
+
+    return (
+        <div className="flex flex-col gap-2 border rounded-md p-2 text-sm">
+            <span className="font-medium">Column mapping</span>
+            {ROLES.map(({ key, name, required }) => (
+                <label key={key} className="flex justify-between items-center gap-2">
+                    {name}
+                    {columnSelect(mapping[key], value => onChange({ ...mapping, [key]: value }), !required)}
+                </label>
+            ))}
+            <label className="flex justify-between items-center gap-2">
+                Box format
+                <select
+                    className="border rounded-md p-1 w-40"
+                    value={mapping.format}
+                    onChange={(e) => onChange(withBoxFormat(mapping, e.target.value, headers))}
+                    disabled={disabled}
+                >
+                    {BOX_FORMATS.map(({ value, name }) => <option key={value} value={value}>{name}</option>)}
+                </select>
+            </label>
+            {fields.map(field => (
+                <label key={field} className="flex justify-between items-center gap-2 pl-4">
+                    {field}
+                    {columnSelect(mapping.columns[field] ?? '', value => onChange({ ...mapping, columns: { ...mapping.columns, [field]: value } }), false)}
+                </label>
+            ))}
+            <label className="flex justify-between items-center gap-2">
+                Coordinate units
+                <select
+                    className="border rounded-md p-1 w-40"
+                    value={mapping.units}
+                    onChange={(e) => onChange({ ...mapping, units: e.target.value })}
+                    disabled={disabled}
+                >
+                    {COORDINATE_UNITS.map(({ value, name }) => <option key={value} value={value}>{name}</option>)}
+                </select>
+            </label>
+
+            {problem ? (
+                <p className="text-xs text-red-600">{problem}</p>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="text-xs w-full">
+                        <thead>
+                            <tr className="text-left text-gray-600">
+                                <th className="pr-2">Image</th>
+                                <th className="pr-2">Label</th>
+                                <th className="pr-2">Box</th>
+                                <th>Score</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rows.map((row, index) => {
+                                const detection = mapDetection(row, mapping);
+                                const coordinates = 'x1' in detection
+                                    ? fields.map(field => detection[field])
+                                    : [detection.xmin, detection.ymin, detection.xmax, detection.ymax];
+                                return (
+                                    <tr key={index}>
+                                        <td className="pr-2 truncate max-w-[120px]">{detection.filename}</td>
+                                        <td className="pr-2 truncate max-w-[120px]">{detection.label}</td>
+                                        <td className="pr-2 whitespace-nowrap">{coordinates.map(formatCoordinate).join(', ')}</td>
+                                        <td>{detection.score ?? ''}</td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                    <p className="text-xs text-gray-500 mt-1">
+                        Boxes as {mapping.format === 'quad' ? 'x1, y1, ..., x4, y4' : 'xmin, ymin, xmax, ymax'}
+                        {mapping.units === 'normalized' ? ', scaled to each image when cropping' : ' in pixels'}.
+                    </p>
+                </div>
+            )}
+        </div>
+    );
+}
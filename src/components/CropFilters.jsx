@@ -0,0 +1,94 @@
+// Labels listed for include/exclude; OCR results can have thousands of distinct labels
+const MAX_LISTED_LABELS = 50;
+
+const LABEL_MODES = [
+    { value: 'all', name: 'All labels' },
+    { value: 'include', name: 'Only checked labels' },
+    { value: 'exclude', name: 'All but checked labels' },
+];
+
+/**
+ * Score threshold, label include/exclude and per-label limit, with the crops each filter keeps
+ */
+export default function CropFilters({ filters, onChange, summary, disabled }) {
+    const { kept, skipped, counts } = summary;
+    const labels = [...counts].slice(0, MAX_LISTED_LABELS);
+
+    const toggleLabel = (label, checked) => {
+        onChange({
+            ...filters,
+            labels: checked ? [...filters.labels, label] : filters.labels.filter(l => l !== label),
+        });
+    };
+
+    return (
+        <div className="flex flex-col gap-2 border rounded-md p-2 text-sm">
+            <span className="font-medium">Filters</span>
+            <label className="flex justify-between items-center gap-2">
+                Minimum score
+                <span className="flex items-center gap-2">
+                    <input
+                        type="range"
+                        min={0}
+                        max={1}
+                        step={0.01}
+                        value={filters.minScore}
+                        onChange={(e) => onChange({ ...filters, minScore: Number(e.target.value) })}
+                        disabled={disabled}
+                    />
+                    <span className="w-10 text-right">{filters.minScore.toFixed(2)}</span>
+                </span>
+            </label>
+            <label className="flex justify-between items-center gap-2">
+                Max crops per label (0 = no limit)
+                <input
+                    type="number"
+                    className="border rounded-md px-2 py-[3.5px] w-20"
+                    min={0}
+                    step={1}
+                    value={filters.maxPerLabel}
+                    onChange={(e) => {
+                        const value = Math.floor(Number(e.target.value));
+                        if (Number.isFinite(value)) {
+                            onChange({ ...filters, maxPerLabel: Math.max(0, value) });
+                        }
+                    }}
+                    disabled={disabled}
+                />
+            </label>
+            <label className="flex justify-between items-center gap-2">
+                Labels
+                <select
+                    className="border rounded-md p-1"
+                    value={filters.labelMode}
+                    onChange={(e) => onChange({ ...filters, labelMode: e.target.value })}
+                    disabled={disabled}
+                >
+                    {LABEL_MODES.map(({ value, name }) => <option key={value} value={value}>{name}</option>)}
+                </select>
+            </label>
+            <div className="flex flex-col max-h-40 overflow-y-auto text-xs">
+                {labels.map(([label, count]) => (
+                    <label key={label} className="flex items-center gap-2">
+                        {filters.labelMode !== 'all' && (
+                            <input
+                                type="checkbox"
+                                checked={filters.labels.includes(label)}
+                                onChange={(e) => toggleLabel(label, e.target.checked)}
+                                disabled={disabled}
+                            />
+                        )}
+                        <span className="flex-1 truncate">{label || '(no label)'}</span>
+                        <span className="text-gray-600">{count.kept} / {count.found}</span>
+                    </label>
+                ))}
+                {counts.size > labels.length && (
+                    <span className="text-gray-500">and {counts.size - labels.length} more labels</span>
+                )}
+            </div>
+            <p className="text-xs text-gray-600">
+                {kept.length} crop{kept.length !== 1 ? 's' : ''} will be saved, {skipped} filtered out.
+            </p>
+        </div>
+    );
+}
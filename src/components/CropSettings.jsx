@@ -0,0 +1,91 @@
+import { CROP_FORMATS } from '../utils/cropOptions';
+
+const SIZE_FIELDS = [
+    { key: 'resize', name: 'Resize longest side to (px, 0 = off)', max: 4096 },
+    { key: 'minSize', name: 'Skip boxes smaller than (px)', max: 4096 },
+    { key: 'concurrency', name: 'Parallel crop workers', min: 1, max: 16 },
+];
+
+/**
+ * Padding, square expansion, resize, minimum box size, output format and worker count of crops
+ */
+export default function CropSettings({ options, onChange, disabled }) {
+    const numberInput = (key, max, min = 0) => (
+        <input
+            type="number"
+            className="border rounded-md px-2 py-[3.5px] w-20"
+            min={min}
+            max={max}
+            step={1}
+            value={options[key]}
+            onChange={(e) => {
+                const value = Number(e.target.value);
+                if (Number.isFinite(value)) {
+                    onChange({ ...options, [key]: Math.min(max, Math.max(min, value)) });
+                }
+            }}
+            disabled={disabled}
+        />
+    );
+
+    return (
+        <details className="text-sm">
+            <summary className="cursor-pointer select-none">Crop settings</summary>
+            <div className="flex flex-col gap-2 mt-2">
+                <label className="flex justify-between items-center gap-2">
+                    Padding
+                    <span className="flex gap-1">
+                        {numberInput('padding', options.paddingUnit === '%' ? 200 : 1024)}
+                        <select
+                            className="border rounded-md p-1"
+                            value={options.paddingUnit}
+                            onChange={(e) => onChange({ ...options, paddingUnit: e.target.value })}
+                            disabled={disabled}
+                        >
+                            <option value="px">px</option>
+                            <option value="%">%</option>
+                        </select>
+                    </span>
+                </label>
+                <label className="flex items-center gap-2">
+                    <input
+                        type="checkbox"
+                        checked={options.square}
+                        onChange={(e) => onChange({ ...options, square: e.target.checked })}
+                        disabled={disabled}
+                    />
+                    Square crops (expand the shorter side)
+                </label>
+                <label className="flex items-center gap-2">
+                    <input
+                        type="checkbox"
+                        checked={options.warp}
+                        onChange={(e) => onChange({ ...options, warp: e.target.checked })}
+                        disabled={disabled}
+                    />
+                    Straighten quad boxes (perspective warp, e.g. OCR text lines)
+                </label>
+                {SIZE_FIELDS.map(({ key, name, min, max }) => (
+                    <label key={key} className="flex justify-between items-center gap-2">
+                        {name}
+                        {numberInput(key, max, min)}
+                    </label>
+                ))}
+                <label className="flex justify-between items-center gap-2">
+                    Format
+                    <select
+                        className="border rounded-md p-1"
+                        value={options.format}
+                        onChange={(e) => onChange({ ...options, format: e.target.value })}
+                        disabled={disabled}
+                    >
+                        {CROP_FORMATS.map(({ value, name }) => <option key={value} value={value}>{name}</option>)}
+                    </select>
+                </label>
+                <p className="text-xs text-gray-500">
+                    Areas past the image border are transparent in PNG and WebP, and black in JPEG.
+                </p>
+            </div>
+        </details>
+    );
+}
@@ -1,34 +1,105 @@
-import { useState } from 'react';
-import { parseCSV, cropAndSaveImagesStreaming } from '../utils/imageCropping';
-import { pickMultipleImages, pickImageDirectory } from '../utils/fileSystemAccess';
+import { useEffect, useMemo, useState } from 'react';
+import { readResultsFile, mapResults, cropAndSaveImagesStreaming } from '../utils/imageCropping';
+import { pickMultipleImages, pickImageDirectory, pickFile, downloadBlob, isFileSystemAccessSupported } from '../utils/fileSystemAccess';
+import { previewCSV } from '../utils/csv';
+import { guessColumnMapping, hasCoordinates, mapDetection, validateColumnMapping } from '../utils/columnMapping';
+import { CROP_LAYOUTS, CROP_PLACEHOLDERS, DEFAULT_CROP_TEMPLATE, cropPlaceholders, renderCropPath } from '../utils/cropLayout';
+import { CROP_FORMATS, DEFAULT_CROP_OPTIONS } from '../utils/cropOptions';
+import { DEFAULT_CROP_FILTERS, filterDetections } from '../utils/cropFilters';
+import { DEFAULT_SCAN_OPTIONS } from '../utils/folderScan';
+import { ZipArchive } from '../utils/zipArchive';
+import ColumnMapping from './ColumnMapping';
+import CropSettings from './CropSettings';
+import CropFilters from './CropFilters';
+import FolderScanSettings from './FolderScanSettings';
+import ImageDropZone from './ImageDropZone';
 
 export default function CroppingTab() {
     const [csvFile, setCsvFile] = useState(null);
+    const [csvPreview, setCsvPreview] = useState(null); // { headers, rows } of a CSV results file
+    const [mapping, setMapping] = useState(null);
+    const [cropTemplate, setCropTemplate] = useState(DEFAULT_CROP_TEMPLATE);
+    const [cropOptions, setCropOptions] = useState(DEFAULT_CROP_OPTIONS);
+    const [cropFilters, setCropFilters] = useState(DEFAULT_CROP_FILTERS);
+    const [parsedResults, setParsedResults] = useState(null); // Results file read once, mapped again on mapping changes
+    const [detectionsError, setDetectionsError] = useState(null);
     const [imageFiles, setImageFiles] = useState([]);
+    const [scanOptions, setScanOptions] = useState(DEFAULT_SCAN_OPTIONS);
     const [status, setStatus] = useState('idle'); // idle, processing, complete
     const [progress, setProgress] = useState({ current: 0, total: 0, message: '' });
     const [results, setResults] = useState(null);
 
     const handleCSVSelect = async () => {
         try {
-            const [fileHandle] = await window.showOpenFilePicker({
-                types: [
-                    {
-                        description: 'CSV Files',
-                        accept: { 'text/csv': ['.csv'] }
+            const file = await pickFile([
+                {
+                    description: 'Detection Results',
+                    accept: {
+                        'text/csv': ['.csv'],
+                        'application/json': ['.json'],
+                        'application/jsonl': ['.jsonl']
                     }
-                ],
-                multiple: false
-            });
-            const file = await fileHandle.getFile();
+                }
+            ]);
+            if (!file) return;
+
+            // JSON and JSON Lines are batch outputs with a known layout; CSV columns are mapped by the user
+            if (/\.jsonl?$/i.test(file.name)) {
+                setCsvPreview(null);
+                setMapping(null);
+            } else {
+                const preview = await previewCSV(file);
+                setCsvPreview(preview);
+                setMapping(guessColumnMapping(preview.headers, preview.rows));
+            }
             setCsvFile(file);
         } catch (err) {
             if (err.name !== 'AbortError') {
                 console.error('Error selecting CSV:', err);
+                alert('Error reading results file: ' + err.message);
+                setCsvFile(null);
+                setCsvPreview(null);
+                setMapping(null);
             }
         }
     };
 
+    // Read the results file once up front so the filters can show what they keep
+    useEffect(() => {
+        setParsedResults(null);
+        setDetectionsError(null);
+        if (!csvFile) return;
+
+        let cancelled = false;
+        readResultsFile(csvFile)
+            .then(results => {
+                if (!cancelled) setParsedResults(results);
+            })
+            .catch(err => {
+                console.error('Error reading detections:', err);
+                if (!cancelled) setDetectionsError(err.message);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [csvFile]);
+
+    // Detections with the current mapping
+    const detections = useMemo(
+        () => parsedResults && !(mapping && validateColumnMapping(mapping)) ? mapResults(parsedResults, mapping ?? undefined) : null,
+        [parsedResults, mapping]
+    );
+
+    // Labels picked for another file do not apply
+    useEffect(() => {
+        setCropFilters(prev => ({ ...prev, labels: [] }));
+    }, [csvFile]);
+
+    const filterSummary = useMemo(
+        () => detections && filterDetections(detections, cropFilters),
+        [detections, cropFilters]
+    );
+
     const handleImagesSelect = async () => {
         const files = await pickMultipleImages();
         if (files.length > 0) {
@@ -37,9 +108,14 @@ export default function CroppingTab() {
     };
 
     const handleImageFolderSelect = async () => {
-        const files = await pickImageDirectory();
-        if (files.length > 0) {
-            setImageFiles(files);
+        try {
+            const files = await pickImageDirectory(scanOptions);
+            if (files.length > 0) {
+                setImageFiles(files);
+            }
+        } catch (err) {
+            console.error('Error reading image folder:', err);
+            alert('Error reading image folder: ' + err.message);
         }
     };
 
@@ -48,42 +124,57 @@ export default function CroppingTab() {
             alert('Please select both CSV file and images');
             return;
         }
+        const mappingProblem = mapping && validateColumnMapping(mapping);
+        if (mappingProblem) {
+            alert(mappingProblem);
+            return;
+        }
+        if (detectionsError) {
+            alert('Error reading results file: ' + detectionsError);
+            return;
+        }
+        if (!detections) {
+            alert('Detections are still being read, try again in a moment');
+            return;
+        }
+        if (detections.length === 0) {
+            alert('Results file is empty or has no detections');
+            return;
+        }
 
         setStatus('processing');
         setResults(null);
 
         try {
-            // Read CSV content
-            const csvContent = await csvFile.text();
-            const csvData = parseCSV(csvContent);
-
-            if (csvData.length === 0) {
-                alert('CSV file is empty or invalid');
-                setStatus('idle');
-                return;
-            }
-
-            // Ask user to select output directory first
-            const outputDirHandle = await window.showDirectoryPicker({
-                mode: 'readwrite',
-                startIn: 'documents'
-            });
+            // Ask user to select output directory first; without folder access crops
+            // are packed into a ZIP file that is downloaded at the end
+            const archive = isFileSystemAccessSupported() ? null : new ZipArchive();
+            const outputDirHandle = archive
+                ? archive.root
+                : await window.showDirectoryPicker({
+                    mode: 'readwrite',
+                    startIn: 'documents'
+                });
 
             // Process and save images in streaming mode (saves as it processes)
             const saveResults = await cropAndSaveImagesStreaming(
-                csvData,
+                detections,
                 imageFiles,
                 outputDirHandle,
                 (current, total, message) => {
                     setProgress({ current, total, message });
-                }
+                },
+                { template: cropTemplate, crop: cropOptions, filters: cropFilters }
             );
 
             if (saveResults.saved === 0 && saveResults.failed === 0) {
-                alert('No crops generated. Check if image filenames match CSV data or if all detections were filtered out (score < 0.5).');
+                alert('No crops generated. Check if image filenames match CSV data or if all detections were filtered out.');
                 setStatus('idle');
                 return;
             }
+            if (archive) {
+                downloadBlob(archive.toBlob(), `crops_${Date.now()}.zip`);
+            }
 
             setResults(saveResults);
             setStatus('complete');
@@ -98,6 +189,17 @@ export default function CroppingTab() {
         }
     };
 
+    // Show where the first previewed detection would be saved
+    const exampleRow = mapping && !validateColumnMapping(mapping)
+        ? csvPreview?.rows.find(row => hasCoordinates(row, mapping))
+        : undefined;
+    const exampleDetection = exampleRow
+        ? mapDetection(exampleRow, mapping)
+        : { filename: 'photo.jpg', label: 'traffic light', id: '0', score: 0.87 };
+    const { extension } = CROP_FORMATS.find(f => f.value === cropOptions.format);
+    const { folders: exampleFolders, filename: exampleFilename } = renderCropPath(cropTemplate, cropPlaceholders(exampleDetection, 0), extension);
+    const cropLayout = CROP_LAYOUTS.find(layout => layout.template === cropTemplate)?.value ?? 'custom';
+
     return (
         <div className="flex flex-col gap-4 w-full p-4">
             <div className="text-center mb-2">
@@ -111,17 +213,40 @@ export default function CroppingTab() {
                 {/* Left column - Input selection */}
                 <div className="flex flex-col gap-3 w-1/2">
                     <div className="flex flex-col gap-2">
-                        <span className="text-sm font-medium">1. Select CSV File</span>
+                        <span className="text-sm font-medium">1. Select Results File</span>
                         <button
                             className="border px-3 py-2 rounded-md bg-gray-100 hover:bg-gray-200 disabled:bg-gray-50 disabled:cursor-not-allowed"
                             onClick={handleCSVSelect}
                             disabled={status === 'processing'}
                         >
-                            {csvFile ? csvFile.name : 'Select CSV File'}
+                            {csvFile ? csvFile.name : 'Select CSV, JSON or JSONL File'}
                         </button>
                         <p className="text-xs text-gray-500">
-                            CSV should contain columns: image, label, xmin, ymin, xmax, ymax
+                            CSV columns are mapped below, so exports from other tools work too. JSON and JSONL batch outputs are read directly.
                         </p>
+                        {csvPreview && mapping && (
+                            <ColumnMapping
+                                headers={csvPreview.headers}
+                                rows={csvPreview.rows}
+                                mapping={mapping}
+                                onChange={setMapping}
+                                disabled={status === 'processing'}
+                            />
+                        )}
+                        {detectionsError && (
+                            <p className="text-xs text-red-600">{detectionsError}</p>
+                        )}
+                        {csvFile && !detections && !detectionsError && !(mapping && validateColumnMapping(mapping)) && (
+                            <p className="text-xs text-gray-600">Reading detections...</p>
+                        )}
+                        {filterSummary && (
+                            <CropFilters
+                                filters={cropFilters}
+                                onChange={setCropFilters}
+                                summary={filterSummary}
+                                disabled={status === 'processing'}
+                            />
+                        )}
                     </div>
 
                     <div className="flex flex-col gap-2">
@@ -142,6 +267,16 @@ export default function CroppingTab() {
                                 Select Folder
                             </button>
                         </div>
+                        <ImageDropZone
+                            scanOptions={scanOptions}
+                            onImagesSelected={setImageFiles}
+                            disabled={status === 'processing'}
+                        />
+                        <FolderScanSettings
+                            options={scanOptions}
+                            onChange={setScanOptions}
+                            disabled={status === 'processing'}
+                        />
                         {imageFiles.length > 0 && (
                             <p className="text-xs text-gray-600">
                                 {imageFiles.length} image{imageFiles.length !== 1 ? 's' : ''} selected
@@ -149,17 +284,53 @@ export default function CroppingTab() {
                         )}
                     </div>
 
+                    <div className="flex flex-col gap-2">
+                        <span className="text-sm font-medium">3. Output Layout</span>
+                        <div className="flex gap-2 text-sm">
+                            <select
+                                className="border rounded-md p-1"
+                                value={cropLayout}
+                                onChange={(e) => {
+                                    const layout = CROP_LAYOUTS.find(l => l.value === e.target.value);
+                                    if (layout) setCropTemplate(layout.template);
+                                }}
+                                disabled={status === 'processing'}
+                            >
+                                {CROP_LAYOUTS.map(({ value, name }) => <option key={value} value={value}>{name}</option>)}
+                                <option value="custom" disabled>Custom</option>
+                            </select>
+                            <input
+                                type="text"
+                                className="border rounded-md px-2 flex-1 font-mono text-xs"
+                                value={cropTemplate}
+                                onChange={(e) => setCropTemplate(e.target.value)}
+                                disabled={status === 'processing'}
+                            />
+                        </div>
+                        <p className="text-xs text-gray-500">
+                            Placeholders: {CROP_PLACEHOLDERS.map(name => `{${name}}`).join(' ')}; <code>/</code> separates folders.
+                            Example: <code>{[...exampleFolders, exampleFilename].join('/')}</code>
+                        </p>
+                        <CropSettings
+                            options={cropOptions}
+                            onChange={setCropOptions}
+                            disabled={status === 'processing'}
+                        />
+                    </div>
+
                     <div className="flex flex-col gap-2 mt-2">
-                        <span className="text-sm font-medium">3. Process & Save</span>
+                        <span className="text-sm font-medium">4. Process & Save</span>
                         <button
                             className="border px-4 py-3 rounded-lg bg-blue-500 text-white hover:bg-blue-600 disabled:bg-blue-200 disabled:cursor-not-allowed font-medium"
                             onClick={handleProcess}
-                            disabled={status === 'processing' || !csvFile || imageFiles.length === 0}
+                            disabled={status === 'processing' || !detections || imageFiles.length === 0}
                         >
                             {status === 'processing' ? 'Processing...' : 'Crop and Save Images'}
                         </button>
                         <p className="text-xs text-gray-500">
-                            You'll be asked to select an output folder. Crops will be organized by label.
+                            {isFileSystemAccessSupported()
+                                ? "You'll be asked to select an output folder. Crops are saved following the layout above."
+                                : 'Crops are downloaded as a ZIP file when done, following the layout above.'}
                         </p>
                     </div>
                 </div>
@@ -202,7 +373,7 @@ export default function CroppingTab() {
                                 </p>
                                 {results.skipped > 0 && (
                                     <p className="text-sm text-orange-600 mt-1">
-                                        Skipped: {results.skipped} crops (low confidence or missing images)
+                                        Skipped: {results.skipped} crops (filtered out, too small or missing images)
                                     </p>
                                 )}
                                 {results.failed > 0 && (
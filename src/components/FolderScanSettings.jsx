@@ -0,0 +1,52 @@
+const PATTERN_FIELDS = [
+    { key: 'include', name: 'Include', placeholder: '*.jpg, site1/**' },
+    { key: 'exclude', name: 'Exclude', placeholder: 'thumbs, *_mask.png' },
+];
+
+/**
+ * Subfolder depth and include/exclude patterns used when a folder is selected
+ */
+export default function FolderScanSettings({ options, onChange, disabled }) {
+    return (
+        <details className="text-sm">
+            <summary className="cursor-pointer select-none">Folder scan</summary>
+            <div className="flex flex-col gap-2 mt-2">
+                <label className="flex justify-between items-center gap-2">
+                    Folder levels (0 = all subfolders)
+                    <input
+                        type="number"
+                        className="border rounded-md px-2 py-[3.5px] w-20"
+                        min={0}
+                        max={64}
+                        step={1}
+                        value={options.depth}
+                        onChange={(e) => {
+                            const value = Math.floor(Number(e.target.value));
+                            if (Number.isFinite(value)) {
+                                onChange({ ...options, depth: Math.min(64, Math.max(0, value)) });
+                            }
+                        }}
+                        disabled={disabled}
+                    />
+                </label>
+                {PATTERN_FIELDS.map(({ key, name, placeholder }) => (
+                    <label key={key} className="flex justify-between items-center gap-2">
+                        {name}
+                        <input
+                            type="text"
+                            className="border rounded-md px-2 py-[3.5px] flex-1 max-w-[220px]"
+                            placeholder={placeholder}
+                            value={options[key]}
+                            onChange={(e) => onChange({ ...options, [key]: e.target.value })}
+                            disabled={disabled}
+                        />
+                    </label>
+                ))}
+                <p className="text-xs text-gray-500">
+                    Comma-separated patterns: <code>*</code> matches within a name, <code>**</code> across folders.
+                    Patterns without <code>/</code> match file or folder names anywhere.
+                </p>
+            </div>
+        </details>
+    );
+}
@@ -0,0 +1,42 @@
+import { useState } from 'react';
+import { readDroppedImages } from '../utils/fileSystemAccess';
+
+/**
+ * Drop target for image files and folders, scanned with the folder scan settings
+ */
+export default function ImageDropZone({ scanOptions, onImagesSelected, disabled }) {
+    const [dragging, setDragging] = useState(false);
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setDragging(false);
+        if (disabled) return;
+
+        readDroppedImages(e.dataTransfer, scanOptions)
+            .then(files => {
+                if (files.length > 0) {
+                    onImagesSelected(files);
+                } else {
+                    alert('No images found in the dropped files and folders');
+                }
+            })
+            .catch(err => {
+                console.error('Error reading dropped files:', err);
+                alert('Error reading dropped files: ' + err.message);
+            });
+    };
+
+    return (
+        <div
+            className={`border-2 border-dashed rounded-md p-3 text-center text-sm text-gray-500 ${dragging && !disabled ? 'border-blue-500 bg-blue-50' : 'border-gray-300'}`}
+            onDragOver={(e) => {
+                e.preventDefault();
+                setDragging(true);
+            }}
+            onDragLeave={() => setDragging(false)}
+            onDrop={handleDrop}
+        >
+            or drop images and folders here
+        </div>
+    );
+}
@@ -0,0 +1,61 @@
+import { useRef } from 'react';
+import { parseInputsCSV } from '../utils/tasks';
+
+/**
+ * Loads a CSV that maps image filenames to per-image text inputs
+ */
+export default function InputsCSVInput({ inputs, onChange, disabled }) {
+    const fileInputRef = useRef(null);
+
+    const handleFileChange = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            const parsed = parseInputsCSV(await file.text());
+            if (parsed.size === 0) {
+                alert('No filename/phrase pairs found in the CSV file');
+                return;
+            }
+            onChange(parsed);
+        } catch (err) {
+            alert('Error reading CSV: ' + err.message);
+        }
+    };
+
+    return (
+        <div className="flex flex-col gap-1">
+            <div className="flex gap-2 items-center">
+                <button
+                    className="border px-3 py-1.5 rounded-md bg-gray-100 hover:bg-gray-200 disabled:bg-gray-50 disabled:cursor-not-allowed text-sm"
+                    onClick={() => fileInputRef.current.click()}
+                    disabled={disabled}
+                >
+                    Load per-image inputs (CSV)
+                </button>
+                {inputs && (
+                    <button
+                        className="text-sm underline text-gray-600 disabled:cursor-not-allowed"
+                        onClick={() => onChange(null)}
+                        disabled={disabled}
+                    >
+                        Clear
+                    </button>
+                )}
+            </div>
+            <input
+                type="file"
+                accept=".csv,text/csv"
+                onChange={handleFileChange}
+                ref={fileInputRef}
+                className="hidden"
+            />
+            <p className="text-xs text-gray-500">
+                {inputs
+                    ? `${inputs.size} input${inputs.size !== 1 ? 's' : ''} loaded. Images not in the CSV use the input above.`
+                    : 'Columns: filename, phrase (or region). Each image gets its own input.'}
+            </p>
+        </div>
+    );
+}
@@ -0,0 +1,58 @@
+import { useState } from 'react';
+import { MODELS, findModel } from '../utils/models';
+
+const CUSTOM = 'custom';
+
+export default function ModelSelector({ value, onChange, disabled }) {
+    const [isCustom, setIsCustom] = useState(!findModel(value.model_id) || value.local);
+
+    const handleSelect = (event) => {
+        if (event.target.value === CUSTOM) {
+            setIsCustom(true);
+            onChange({ model_id: '', local: true });
+        } else {
+            setIsCustom(false);
+            onChange({ model_id: event.target.value, local: false });
+        }
+    };
+
+    return (
+        <div className="flex flex-col gap-1 w-full max-w-[400px] mb-4">
+            <span className="text-sm mb-0.5">Model</span>
+            <select
+                className="border rounded-md p-1"
+                value={isCustom ? CUSTOM : value.model_id}
+                onChange={handleSelect}
+                disabled={disabled}
+            >
+                {MODELS.map(model => (
+                    <option key={model.id} value={model.id}>{model.name}</option>
+                ))}
+                <option value={CUSTOM}>Custom ONNX model...</option>
+            </select>
+            {isCustom && (
+                <>
+                    <input
+                        className="border rounded-md px-2 py-[3.5px] text-sm"
+                        placeholder="Model id or folder name, e.g. my-florence2-ft"
+                        value={value.model_id}
+                        onChange={(e) => onChange({ ...value, model_id: e.target.value.trim() })}
+                        disabled={disabled}
+                    />
+                    <label className="flex items-center gap-2 text-sm">
+                        <input
+                            type="checkbox"
+                            checked={value.local}
+                            onChange={(e) => onChange({ ...value, local: e.target.checked })}
+                            disabled={disabled}
+                        />
+                        Serve from the local <code>models/</code> folder
+                    </label>
+                    <p className="text-xs text-gray-500">
+                        Local models are loaded from <code>models/&lt;name&gt;/</code> on this site (e.g. <code>public/models/</code> in development). Otherwise the id is fetched from the Hugging Face Hub.
+                    </p>
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,19 @@
+/**
+ * Lists detected regions as JSON, linked to the overlay through the highlighted index
+ */
+export default function RegionList({ regions, highlighted, onHighlight }) {
+    return (
+        <ul className="w-full h-full p-2 overflow-y-auto text-left text-sm font-mono">
+            {regions.map((region, i) => (
+                <li
+                    key={i}
+                    className={`px-1 rounded cursor-default ${i === highlighted ? 'bg-yellow-100 dark:bg-yellow-900' : ''}`}
+                    onMouseEnter={() => onHighlight(i)}
+                    onMouseLeave={() => onHighlight(null)}
+                >
+                    {JSON.stringify({ label: region.label, bbox: region.bbox.map(v => Math.round(v)) })}
+                </li>
+            ))}
+        </ul>
+    );
+}
@@ -0,0 +1,110 @@
+import { useEffect, useRef, useState } from 'react';
+import { pointInPolygon } from '../utils/regions';
+
+function regionColor(index, alpha) {
+    return `hsla(${(index * 67) % 360}, 85%, 50%, ${alpha})`;
+}
+
+/**
+ * Draws regions (boxes, quads and polygons) on a canvas laid over the image
+ */
+export default function ResultOverlay({ src, regions, highlighted, onHighlight }) {
+    const imageRef = useRef(null);
+    const canvasRef = useRef(null);
+    const [displaySize, setDisplaySize] = useState(null);
+
+    // Track the rendered size of the image so the overlay scales with it
+    useEffect(() => {
+        const image = imageRef.current;
+        const observer = new ResizeObserver(() => {
+            setDisplaySize({ width: image.clientWidth, height: image.clientHeight });
+        });
+        observer.observe(image);
+        return () => observer.disconnect();
+    }, []);
+
+    useEffect(() => {
+        const image = imageRef.current;
+        const canvas = canvasRef.current;
+        if (!displaySize || !image.naturalWidth) return;
+
+        canvas.width = displaySize.width;
+        canvas.height = displaySize.height;
+        const scale = displaySize.width / image.naturalWidth;
+
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.font = '12px sans-serif';
+        ctx.textBaseline = 'bottom';
+
+        regions.forEach((region, i) => {
+            const isHighlighted = i === highlighted;
+            const dimmed = highlighted !== null && !isHighlighted;
+
+            ctx.beginPath();
+            region.points.forEach(([x, y], j) => {
+                if (j === 0) ctx.moveTo(x * scale, y * scale);
+                else ctx.lineTo(x * scale, y * scale);
+            });
+            ctx.closePath();
+
+            ctx.fillStyle = regionColor(i, isHighlighted ? 0.35 : dimmed ? 0.03 : 0.12);
+            ctx.fill();
+            ctx.lineWidth = isHighlighted ? 3 : 2;
+            ctx.strokeStyle = regionColor(i, dimmed ? 0.3 : 1);
+            ctx.stroke();
+
+            if (region.label && !dimmed) {
+                const x = region.bbox[0] * scale;
+                const y = Math.max(region.bbox[1] * scale, 14);
+                const width = ctx.measureText(region.label).width + 6;
+                ctx.fillStyle = regionColor(i, 1);
+                ctx.fillRect(x, y - 14, width, 14);
+                ctx.fillStyle = 'white';
+                ctx.fillText(region.label, x + 3, y);
+            }
+        });
+    }, [regions, highlighted, displaySize]);
+
+    const handleMouseMove = (event) => {
+        const image = imageRef.current;
+        if (!image.naturalWidth) return;
+
+        const rect = canvasRef.current.getBoundingClientRect();
+        const scale = image.naturalWidth / rect.width;
+        const point = [(event.clientX - rect.left) * scale, (event.clientY - rect.top) * scale];
+
+        // Prefer the smallest region under the cursor so nested boxes stay reachable
+        let found = null;
+        let foundArea = Infinity;
+        regions.forEach((region, i) => {
+            const [xmin, ymin, xmax, ymax] = region.bbox;
+            const area = (xmax - xmin) * (ymax - ymin);
+            if (area < foundArea && pointInPolygon(point, region.points)) {
+                found = i;
+                foundArea = area;
+            }
+        });
+        if (found !== highlighted) {
+            onHighlight(found);
+        }
+    };
+
+    return (
+        <div className="relative inline-block">
+            <img
+                ref={imageRef}
+                src={src}
+                alt="Input"
+                className="max-w-full max-h-[500px] rounded-md"
+                onLoad={() => setDisplaySize({ width: imageRef.current.clientWidth, height: imageRef.current.clientHeight })}
+            />
+            <canvas
+                ref={canvasRef}
+                className="absolute top-0 left-0"
+                onMouseMove={handleMouseMove}
+                onMouseLeave={() => onHighlight(null)}
+            />
+        </div>
+    );
+}
@@ -0,0 +1,44 @@
+import { TASKS } from '../utils/tasks';
+
+/**
+ * Task dropdown, or a checkbox list when several tasks can be run together
+ */
+export default function TaskSelector({ value, onChange, multiple = false, disabled }) {
+    if (!multiple) {
+        return (
+            <select
+                className="border rounded-md p-1"
+                value={value}
+                onChange={(e) => onChange(e.target.value)}
+                disabled={disabled}
+            >
+                {TASKS.map(task => (
+                    <option key={task.token} value={task.token}>{task.name}</option>
+                ))}
+            </select>
+        );
+    }
+
+    const toggle = (token, checked) => {
+        // Keep the selection in the canonical task order
+        onChange(TASKS
+            .map(task => task.token)
+            .filter(t => t === token ? checked : value.includes(t)));
+    };
+
+    return (
+        <div className="flex flex-col border rounded-md p-1 text-sm">
+            {TASKS.map(task => (
+                <label key={task.token} className="flex items-center gap-2">
+                    <input
+                        type="checkbox"
+                        checked={value.includes(task.token)}
+                        onChange={(e) => toggle(task.token, e.target.checked)}
+                        disabled={disabled}
+                    />
+                    {task.name}
+                </label>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,60 @@
+const SIZE_FIELDS = [
+    { key: 'size', name: 'Tile size (px)', min: 256, max: 4096, step: 64 },
+    { key: 'overlap', name: 'Overlap (px)', min: 0, max: 1024, step: 16 },
+];
+
+/**
+ * Tiled inference for large images: tile size, overlap and the extra whole-image pass
+ */
+export default function TilingSettings({ tiling, onChange, disabled }) {
+    return (
+        <details className="text-sm">
+            <summary className="cursor-pointer select-none">Tiling for large images{tiling.enabled ? ' (on)' : ''}</summary>
+            <div className="flex flex-col gap-2 mt-2">
+                <label className="flex items-center gap-2">
+                    <input
+                        type="checkbox"
+                        checked={tiling.enabled}
+                        onChange={(e) => onChange({ ...tiling, enabled: e.target.checked })}
+                        disabled={disabled}
+                    />
+                    Split images larger than a tile into overlapping tiles
+                </label>
+                {SIZE_FIELDS.map(({ key, name, min, max, step }) => (
+                    <label key={key} className="flex justify-between items-center gap-2">
+                        {name}
+                        <input
+                            type="number"
+                            className="border rounded-md px-2 py-[3.5px] w-24"
+                            min={min}
+                            max={max}
+                            step={step}
+                            value={tiling[key]}
+                            onChange={(e) => {
+                                const value = Number(e.target.value);
+                                if (Number.isFinite(value)) {
+                                    onChange({ ...tiling, [key]: Math.min(max, Math.max(min, value)) });
+                                }
+                            }}
+                            disabled={disabled || !tiling.enabled}
+                        />
+                    </label>
+                ))}
+                <label className="flex items-center gap-2">
+                    <input
+                        type="checkbox"
+                        checked={tiling.fullImage}
+                        onChange={(e) => onChange({ ...tiling, fullImage: e.target.checked })}
+                        disabled={disabled || !tiling.enabled}
+                    />
+                    Also run on the whole image (finds objects larger than a tile)
+                </label>
+                <p className="text-xs text-gray-500">
+                    Applies to object detection, dense region caption, region proposal and OCR with region.
+                    Every tile is a full model run, so a 6000×4000 image with 1024 px tiles takes about 35 runs.
+                    Overlap is capped at half the tile size.
+                </p>
+            </div>
+        </details>
+    );
+}
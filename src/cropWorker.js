@@ -0,0 +1,13 @@
+import { cropDetections } from './utils/cropRender';
+
+// Crops all detections of one image per message; several of these workers run side by side
+self.addEventListener('message', async (e) => {
+    const { id, file, detections, options } = e.data;
+
+    try {
+        const crops = await cropDetections(file, detections, options);
+        self.postMessage({ id, status: 'complete', crops });
+    } catch (error) {
+        self.postMessage({ id, status: 'error', error: error.message });
+    }
+});
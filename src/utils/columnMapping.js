@@ -0,0 +1,167 @@
+/**
+ * Map the columns of third-party detection CSVs to the detections used for cropping
+ */
+
+// Coordinate fields per box format, converted to xmin..ymax (or x1..y4 for quads)
+export const BOX_FORMATS = [
+    { value: 'xyxy', name: 'Corners (xmin, ymin, xmax, ymax)', fields: ['xmin', 'ymin', 'xmax', 'ymax'] },
+    { value: 'xywh', name: 'Top-left and size (x, y, w, h)', fields: ['x', 'y', 'w', 'h'] },
+    { value: 'cxcywh', name: 'Center and size (cx, cy, w, h), e.g. YOLO', fields: ['cx', 'cy', 'w', 'h'] },
+    { value: 'quad', name: 'Quad (x1, y1, ..., x4, y4)', fields: ['x1', 'y1', 'x2', 'y2', 'x3', 'y3', 'x4', 'y4'] },
+];
+
+export const COORDINATE_UNITS = [
+    { value: 'pixels', name: 'Pixels' },
+    { value: 'normalized', name: 'Normalized (0-1)' },
+];
+
+// Column names recognized for each role and coordinate field, lowercase
+const COLUMN_ALIASES = {
+    image: ['image', 'filename', 'file', 'file_name', 'image_path', 'path'],
+    label: ['label', 'class', 'class_name', 'category', 'name', 'text'],
+    score: ['score', 'confidence', 'conf', 'probability'],
+    id: ['id', 'detection_id'],
+    xmin: ['xmin', 'x_min', 'left', 'x0'],
+    ymin: ['ymin', 'y_min', 'top', 'y0'],
+    xmax: ['xmax', 'x_max', 'right'],
+    ymax: ['ymax', 'y_max', 'bottom'],
+    x: ['x', 'bbox_x', 'left'],
+    y: ['y', 'bbox_y', 'top'],
+    w: ['w', 'width', 'bbox_w', 'bbox_width'],
+    h: ['h', 'height', 'bbox_h', 'bbox_height'],
+    cx: ['cx', 'x_center', 'center_x', 'xc'],
+    cy: ['cy', 'y_center', 'center_y', 'yc'],
+};
+
+/**
+ * Find the header matching a role or coordinate field
+ * @param {string[]} headers
+ * @param {string} key
+ * @returns {string} Header, or '' when none matches
+ */
+function findColumn(headers, key) {
+    const aliases = COLUMN_ALIASES[key] ?? [key];
+    for (const alias of aliases) {
+        const header = headers.find(h => h.toLowerCase() === alias);
+        if (header !== undefined) return header;
+    }
+    return '';
+}
+
+/**
+ * Guess a column mapping from the headers and the first rows of a CSV
+ * @param {string[]} headers - CSV headers
+ * @param {Array<Object>} [rows] - Sample rows, used to tell normalized from pixel coordinates
+ * @returns {{image: string, label: string, score: string, id: string, format: string, units: string, columns: Object<string, string>}}
+ *   Roles map to a header ('' when unmapped); `columns` maps each coordinate field of the format to a header
+ */
+export function guessColumnMapping(headers, rows = []) {
+    const columnsFor = format => Object.fromEntries(
+        BOX_FORMATS.find(f => f.value === format).fields.map(field => [field, findColumn(headers, field)])
+    );
+
+    // Prefer the formats with the most specific column names
+    const format = ['quad', 'xyxy', 'cxcywh', 'xywh']
+        .find(value => Object.values(columnsFor(value)).every(Boolean)) ?? 'xyxy';
+    const columns = columnsFor(format);
+
+    // Rows of images that failed or had no detections leave the coordinates empty
+    const values = rows.flatMap(row => Object.values(columns).map(header => row[header]))
+        .filter(value => value !== undefined && value !== '')
+        .map(Number);
+    const normalized = values.length > 0 && values.every(v => Number.isFinite(v) && v >= 0 && v <= 1);
+
+    return {
+        image: findColumn(headers, 'image') || headers[0] || '',
+        label: findColumn(headers, 'label'),
+        score: findColumn(headers, 'score'),
+        id: findColumn(headers, 'id'),
+        format,
+        units: normalized ? 'normalized' : 'pixels',
+        columns,
+    };
+}
+
+/**
+ * Switch the box format of a mapping, guessing the columns of the new format
+ * @param {Object} mapping - Column mapping
+ * @param {string} format - Box format value
+ * @param {string[]} headers - CSV headers
+ * @returns {Object} Updated mapping
+ */
+export function withBoxFormat(mapping, format, headers) {
+    const { fields } = BOX_FORMATS.find(f => f.value === format);
+    return {
+        ...mapping,
+        format,
+        columns: Object.fromEntries(fields.map(field => [field, mapping.columns[field] || findColumn(headers, field)])),
+    };
+}
+
+/**
+ * Check that a mapping has the columns needed for cropping
+ * @param {Object} mapping - Column mapping
+ * @returns {string|null} Problem to show, or null when the mapping is usable
+ */
+export function validateColumnMapping(mapping) {
+    if (!mapping.image) return 'Choose the column holding the image filename';
+    const { fields } = BOX_FORMATS.find(f => f.value === mapping.format);
+    const missing = fields.filter(field => !mapping.columns[field]);
+    if (missing.length > 0) return `Choose the columns for ${missing.join(', ')}`;
+    return null;
+}
+
+/**
+ * Whether a CSV row has any box coordinates; rows written for images that failed
+ * or had no detections have none
+ * @param {Object} row - CSV row with text values
+ * @param {Object} mapping - Column mapping
+ * @returns {boolean}
+ */
+export function hasCoordinates(row, mapping) {
+    return Object.values(mapping.columns).some(header => header && row[header] !== undefined && row[header] !== '');
+}
+
+/**
+ * Convert a CSV row into a detection using a column mapping
+ * @param {Object} row - CSV row with text values
+ * @param {Object} mapping - Column mapping
+ * @returns {Object} Detection with filename, label, optional id and score, and xmin..ymax or x1..y4;
+ *   `normalized` is set when the coordinates are relative to the image size
+ */
+export function mapDetection(row, mapping) {
+    const value = field => Number(row[mapping.columns[field]]);
+    const detection = {
+        filename: row[mapping.image],
+        label: mapping.label ? row[mapping.label] : '',
+        ...(mapping.id && row[mapping.id] !== '' && { id: row[mapping.id] }),
+        ...(mapping.score && row[mapping.score] !== '' && { score: Number(row[mapping.score]) }),
+        ...(mapping.units === 'normalized' && { normalized: true }),
+    };
+
+    switch (mapping.format) {
+        case 'quad':
+            for (const field of BOX_FORMATS.find(f => f.value === 'quad').fields) {
+                detection[field] = value(field);
+            }
+            break;
+        case 'xywh':
+            detection.xmin = value('x');
+            detection.ymin = value('y');
+            detection.xmax = value('x') + value('w');
+            detection.ymax = value('y') + value('h');
+            break;
+        case 'cxcywh':
+            detection.xmin = value('cx') - value('w') / 2;
+            detection.ymin = value('cy') - value('h') / 2;
+            detection.xmax = value('cx') + value('w') / 2;
+            detection.ymax = value('cy') + value('h') / 2;
+            break;
+        default:
+            detection.xmin = value('xmin');
+            detection.ymin = value('ymin');
+            detection.xmax = value('xmax');
+            detection.ymax = value('ymax');
+    }
+    return detection;
+}
@@ -0,0 +1,66 @@
+/**
+ * Confidence and label filters applied to detections before cropping
+ */
+
+// `minScore` drops detections below it (detections without a score are kept);
+// `labelMode` is 'all', 'include' (only `labels`) or 'exclude' (all but `labels`);
+// `maxPerLabel` keeps the highest-scoring detections of each label (0 = no limit)
+export const DEFAULT_CROP_FILTERS = {
+    minScore: 0.5,
+    labelMode: 'all',
+    labels: [],
+    maxPerLabel: 0,
+};
+
+/**
+ * Score of a detection, counting a missing score as certain
+ * @param {Object} detection
+ * @returns {number}
+ */
+function detectionScore(detection) {
+    return Number.isFinite(detection.score) ? detection.score : 1;
+}
+
+/**
+ * Apply the crop filters
+ * @param {Array<Object>} detections - Detections with label and optional score
+ * @param {Object} filters - Crop filters (see `DEFAULT_CROP_FILTERS`)
+ * @returns {{kept: Array<Object>, skipped: number, counts: Map<string, {found: number, kept: number}>}}
+ *   Kept detections in their original order, and per-label counts sorted by how often the label was found
+ */
+export function filterDetections(detections, filters = DEFAULT_CROP_FILTERS) {
+    const { minScore = 0, labelMode = 'all', labels = [], maxPerLabel = 0 } = filters;
+    const selected = new Set(labels);
+
+    const counts = new Map();
+    const byLabel = new Map();
+    detections.forEach((detection, index) => {
+        const label = detection.label ?? '';
+        if (!counts.has(label)) {
+            counts.set(label, { found: 0, kept: 0 });
+            byLabel.set(label, []);
+        }
+        counts.get(label).found++;
+
+        if (detectionScore(detection) < minScore) return;
+        if (labelMode === 'include' && !selected.has(label)) return;
+        if (labelMode === 'exclude' && selected.has(label)) return;
+        byLabel.get(label).push(index);
+    });
+
+    const keptIndices = [];
+    for (const [label, indices] of byLabel) {
+        const limited = maxPerLabel > 0
+            ? [...indices].sort((a, b) => detectionScore(detections[b]) - detectionScore(detections[a])).slice(0, maxPerLabel)
+            : indices;
+        counts.get(label).kept = limited.length;
+        keptIndices.push(...limited);
+    }
+    keptIndices.sort((a, b) => a - b);
+
+    return {
+        kept: keptIndices.map(index => detections[index]),
+        skipped: detections.length - keptIndices.length,
+        counts: new Map([...counts].sort((a, b) => b[1].found - a[1].found)),
+    };
+}
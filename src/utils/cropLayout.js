@@ -0,0 +1,99 @@
+/**
+ * Folder layout and filenames of saved crops
+ */
+
+// Presets for the filename template; `/` separates folders
+export const CROP_LAYOUTS = [
+    { value: 'label', name: 'By label', template: '{label}/{image}_{id}' },
+    { value: 'image', name: 'By image', template: '{image}/{image}_{id}' },
+    { value: 'label-image', name: 'Label, then image', template: '{label}/{image}/{image}_{id}' },
+    { value: 'flat', name: 'Flat', template: '{image}_{id}_{label}' },
+    { value: 'folder-label', name: 'Image folders, then label', template: '{folder}/{label}/{image}_{id}' },
+];
+
+export const DEFAULT_CROP_TEMPLATE = CROP_LAYOUTS[0].template;
+
+// Placeholders available in templates
+export const CROP_PLACEHOLDERS = ['label', 'image', 'folder', 'id', 'index', 'score'];
+
+// Names Windows refuses for files and folders
+const RESERVED_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i;
+
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Replace the characters that are not allowed in file and folder names
+ * @param {string} text
+ * @returns {string}
+ */
+function cleanName(text) {
+    return String(text ?? '')
+        .replace(/\s+/g, ' ')
+        .replace(/[<>:"/\\|?*\p{Cc}]/gu, '_')
+        .trim()
+        // Trailing dots and spaces are dropped by Windows
+        .replace(/^\.+|[. ]+$/g, '')
+        .slice(0, MAX_NAME_LENGTH);
+}
+
+/**
+ * Turn arbitrary text (e.g. a label) into a safe file or folder name
+ * @param {string} text
+ * @param {string} [fallback] - Name used when nothing printable is left
+ * @returns {string}
+ */
+export function sanitizeName(text, fallback = 'unlabeled') {
+    const name = cleanName(text) || fallback;
+    return RESERVED_NAMES.test(name) ? `_${name}` : name;
+}
+
+/**
+ * Values of the template placeholders for one crop
+ * @param {Object} detection - Detection with filename, label, optional id and score
+ * @param {number} index - Index of the detection within its image
+ * @returns {Object<string, string>}
+ */
+export function cropPlaceholders(detection, index) {
+    const path = String(detection.filename ?? '').replace(/\\/g, '/');
+    const slash = path.lastIndexOf('/');
+    const filename = path.slice(slash + 1);
+    const dot = filename.lastIndexOf('.');
+    return {
+        label: detection.label,
+        image: dot > 0 ? filename.slice(0, dot) : filename,
+        folder: slash !== -1 ? path.slice(0, slash) : '',
+        id: detection.id ?? index,
+        index,
+        score: Number.isFinite(detection.score) ? detection.score.toFixed(2) : '',
+    };
+}
+
+/**
+ * Render a crop path from a template such as `{label}/{image}_{id}_{score}.jpg`
+ * Placeholder values are sanitized, so a label can never add folders; only a
+ * `{folder}` segment of its own adds the image's folders. An extension in the
+ * template is replaced by `extension`
+ * @param {string} template - Filename template
+ * @param {Object<string, string>} values - Placeholder values from `cropPlaceholders`
+ * @param {string} [extension] - File extension without dot
+ * @returns {{folders: string[], filename: string}}
+ */
+export function renderCropPath(template, values, extension = 'jpg') {
+    const segments = template
+        .replace(/\.(jpe?g|png|webp)$/i, '')
+        .split('/')
+        .flatMap(segment => {
+            // A `{folder}` segment expands into the folders of the image path
+            if (segment === '{folder}' && 'folder' in values) {
+                return String(values.folder).split('/').map(cleanName);
+            }
+            return [segment.replace(/\{(\w+)\}/g, (match, key) =>
+                key in values ? cleanName(values[key]) || (key === 'label' ? 'unlabeled' : '') : match
+            )];
+        })
+        .map(segment => sanitizeName(segment, ''))
+        .filter(Boolean);
+
+    const filename = segments.pop() ?? sanitizeName(values.image, 'crop');
+    return { folders: segments, filename: `${filename}.${extension}` };
+}
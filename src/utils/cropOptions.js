@@ -0,0 +1,88 @@
+/**
+ * Crop geometry and output settings
+ */
+
+export const CROP_FORMATS = [
+    { value: 'jpeg', name: 'JPEG', type: 'image/jpeg', extension: 'jpg' },
+    { value: 'png', name: 'PNG (alpha)', type: 'image/png', extension: 'png' },
+    { value: 'webp', name: 'WebP (alpha)', type: 'image/webp', extension: 'webp' },
+];
+
+// Leave a core for the page and the model worker; more workers mostly add memory use
+const DEFAULT_CONCURRENCY = Math.max(1, Math.min(4, (globalThis.navigator?.hardwareConcurrency ?? 2) - 1));
+
+// `padding` is in pixels or percent of the box size (`paddingUnit` 'px' or '%');
+// `square` expands the shorter side around the box center; `resize` scales the
+// longest side to that many pixels (0 keeps the original size); boxes narrower
+// or shorter than `minSize` pixels are skipped; `warp` straightens quad boxes
+// with a perspective transform instead of cropping their bounding rectangle;
+// `concurrency` is the number of crop workers decoding images side by side
+export const DEFAULT_CROP_OPTIONS = {
+    warp: false,
+    padding: 0,
+    paddingUnit: 'px',
+    square: false,
+    resize: 0,
+    minSize: 0,
+    format: 'jpeg',
+    quality: 0.95,
+    concurrency: DEFAULT_CONCURRENCY,
+};
+
+/**
+ * Axis-aligned bounds of a box or quad
+ * @param {Object} bbox - {xmin, ymin, xmax, ymax} or {x1, y1, x2, y2, x3, y3, x4, y4}
+ * @returns {number[]} [xmin, ymin, xmax, ymax]
+ */
+export function boxBounds(bbox) {
+    if ('x1' in bbox) {
+        const xs = [bbox.x1, bbox.x2, bbox.x3, bbox.x4];
+        const ys = [bbox.y1, bbox.y2, bbox.y3, bbox.y4];
+        return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+    }
+    return [bbox.xmin, bbox.ymin, bbox.xmax, bbox.ymax];
+}
+
+/**
+ * Area of the image to crop for a box, after padding and square expansion
+ * The area may extend past the image; that part is left transparent (or filled for JPEG)
+ * @param {number[]} bounds - [xmin, ymin, xmax, ymax] clamped to the image
+ * @param {Object} options - Crop options
+ * @returns {{left: number, top: number, width: number, height: number}} Integer pixel rectangle
+ */
+export function cropRectangle([xmin, ymin, xmax, ymax], options) {
+    const { padding = 0, paddingUnit = 'px', square = false } = options;
+    const padX = paddingUnit === '%' ? (xmax - xmin) * padding / 100 : padding;
+    const padY = paddingUnit === '%' ? (ymax - ymin) * padding / 100 : padding;
+
+    let left = xmin - padX;
+    let top = ymin - padY;
+    let right = xmax + padX;
+    let bottom = ymax + padY;
+
+    if (square) {
+        const side = Math.max(right - left, bottom - top);
+        const cx = (left + right) / 2;
+        const cy = (top + bottom) / 2;
+        left = cx - side / 2;
+        right = cx + side / 2;
+        top = cy - side / 2;
+        bottom = cy + side / 2;
+    }
+
+    left = Math.floor(left);
+    top = Math.floor(top);
+    return { left, top, width: Math.ceil(right) - left, height: Math.ceil(bottom) - top };
+}
+
+/**
+ * Output size of a crop
+ * @param {{width: number, height: number}} rectangle - Crop rectangle
+ * @param {number} resize - Longest side in pixels, or 0 to keep the size
+ * @returns {{width: number, height: number}}
+ */
+export function outputSize({ width, height }, resize) {
+    if (!resize) return { width, height };
+    const scale = resize / Math.max(width, height);
+    return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+}
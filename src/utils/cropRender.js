@@ -0,0 +1,205 @@
+/**
+ * Crop rendering with OffscreenCanvas, shared by the crop worker
+ */
+
+import { CROP_FORMATS, DEFAULT_CROP_OPTIONS, boxBounds, cropRectangle, outputSize } from './cropOptions';
+import { homography, multiply, applyHomography, rectifiedSize, warpPerspective } from './perspective';
+
+/**
+ * Box of a detection in pixels
+ * @param {Object} detection - Detection with xmin..ymax or x1..y4, `normalized` when relative to the image size
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Object|null} {xmin, ymin, xmax, ymax} or {x1, y1, ..., x4, y4}, or null without usable coordinates
+ */
+export function detectionBox(detection, width, height) {
+    // Normalized coordinates are relative to the image size
+    const scaleX = detection.normalized ? width : 1;
+    const scaleY = detection.normalized ? height : 1;
+
+    let box;
+    if ('x1' in detection && 'y1' in detection && 'x2' in detection && 'y2' in detection &&
+        'x3' in detection && 'y3' in detection && 'x4' in detection && 'y4' in detection) {
+        // Quad box format
+        box = {
+            x1: detection.x1 * scaleX,
+            y1: detection.y1 * scaleY,
+            x2: detection.x2 * scaleX,
+            y2: detection.y2 * scaleY,
+            x3: detection.x3 * scaleX,
+            y3: detection.y3 * scaleY,
+            x4: detection.x4 * scaleX,
+            y4: detection.y4 * scaleY
+        };
+    } else if ('xmin' in detection && 'ymin' in detection && 'xmax' in detection && 'ymax' in detection) {
+        // Regular bbox format
+        box = {
+            xmin: detection.xmin * scaleX,
+            ymin: detection.ymin * scaleY,
+            xmax: detection.xmax * scaleX,
+            ymax: detection.ymax * scaleY
+        };
+    } else {
+        return null;
+    }
+    return Object.values(box).every(Number.isFinite) ? box : null;
+}
+
+/**
+ * Decode an image and crop all its detections
+ * @param {Blob} file - Image file
+ * @param {Array<Object>} detections - Detections of this image
+ * @param {Object} options - Crop options (see `DEFAULT_CROP_OPTIONS`)
+ * @returns {Promise<Array<{blob?: Blob, skipped?: string, error?: string}>>} One entry per detection, in order
+ */
+export async function cropDetections(file, detections, options) {
+    const bitmap = await createImageBitmap(file);
+    const { width, height } = bitmap;
+    const canvas = new OffscreenCanvas(width, height);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    // The canvas holds the pixels now; free the decoded bitmap right away
+    bitmap.close();
+
+    const crops = [];
+    for (const detection of detections) {
+        const box = detectionBox(detection, width, height);
+        if (!box) {
+            crops.push({ skipped: 'no usable coordinates' });
+            continue;
+        }
+
+        // Skip tiny detections
+        const [xmin, ymin, xmax, ymax] = boxBounds(box);
+        if (xmax - xmin < options.minSize || ymax - ymin < options.minSize) {
+            crops.push({ skipped: 'too small' });
+            continue;
+        }
+
+        try {
+            crops.push({ blob: await cropRegion(canvas, box, width, height, options) });
+        } catch (error) {
+            crops.push({ error: error.message });
+        }
+    }
+    return crops;
+}
+
+/**
+ * Crop a region from canvas and return as blob
+ * @param {OffscreenCanvas} sourceCanvas - Source canvas holding the whole image
+ * @param {Object} bbox - Bounding box {xmin, ymin, xmax, ymax} or {x1, y1, x2, y2, x3, y3, x4, y4} for quad box
+ * @param {number} imageWidth - Original image width
+ * @param {number} imageHeight - Original image height
+ * @param {Object} [options] - Crop options (see `DEFAULT_CROP_OPTIONS`)
+ * @returns {Promise<Blob>}
+ */
+export async function cropRegion(sourceCanvas, bbox, imageWidth, imageHeight, options = DEFAULT_CROP_OPTIONS) {
+    if (options.warp && 'x1' in bbox) {
+        return cropQuadRegion(sourceCanvas, bbox, imageWidth, imageHeight, options);
+    }
+
+    // Quad boxes are cropped by their bounding rectangle
+    const [xmin, ymin, xmax, ymax] = boxBounds(bbox);
+
+    // Clamp coordinates to image boundaries
+    const left = Math.max(0, Math.min(xmin, imageWidth));
+    const top = Math.max(0, Math.min(ymin, imageHeight));
+    const right = Math.max(0, Math.min(xmax, imageWidth));
+    const bottom = Math.max(0, Math.min(ymax, imageHeight));
+
+    if (right - left <= 0 || bottom - top <= 0) {
+        throw new Error('Invalid crop dimensions');
+    }
+
+    // Padding and square expansion may reach past the image borders
+    const rect = cropRectangle([left, top, right, bottom], options);
+    const size = outputSize(rect, options.resize);
+    const scaleX = size.width / rect.width;
+    const scaleY = size.height / rect.height;
+    const format = CROP_FORMATS.find(f => f.value === options.format) ?? CROP_FORMATS[0];
+
+    // Create a new canvas for the cropped region
+    const cropCanvas = new OffscreenCanvas(size.width, size.height);
+    const ctx = cropCanvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    if (format.value === 'jpeg') {
+        // JPEG has no alpha: fill the area outside the image
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, size.width, size.height);
+    }
+
+    // Draw the part of the crop rectangle that lies inside the image
+    const sx = Math.max(0, rect.left);
+    const sy = Math.max(0, rect.top);
+    const sw = Math.min(imageWidth, rect.left + rect.width) - sx;
+    const sh = Math.min(imageHeight, rect.top + rect.height) - sy;
+    ctx.drawImage(
+        sourceCanvas,
+        sx, sy, sw, sh,
+        (sx - rect.left) * scaleX, (sy - rect.top) * scaleY, sw * scaleX, sh * scaleY
+    );
+
+    return canvasToBlob(cropCanvas, format, options.quality);
+}
+
+/**
+ * Straighten a quad box into an upright rectangle with a perspective transform
+ * Corners are taken clockwise from the top left (x1, y1) as in OCR results. Padding,
+ * square expansion and resize apply to the straightened rectangle
+ * @param {OffscreenCanvas} sourceCanvas - Source canvas holding the whole image
+ * @param {Object} bbox - Quad box {x1, y1, x2, y2, x3, y3, x4, y4}
+ * @param {number} imageWidth - Original image width
+ * @param {number} imageHeight - Original image height
+ * @param {Object} options - Crop options (see `DEFAULT_CROP_OPTIONS`)
+ * @returns {Promise<Blob>}
+ */
+async function cropQuadRegion(sourceCanvas, bbox, imageWidth, imageHeight, options) {
+    const quad = [[bbox.x1, bbox.y1], [bbox.x2, bbox.y2], [bbox.x3, bbox.y3], [bbox.x4, bbox.y4]];
+    const { width, height } = rectifiedSize(quad);
+    const format = CROP_FORMATS.find(f => f.value === options.format) ?? CROP_FORMATS[0];
+
+    // Output pixels -> straightened rectangle (with padding) -> image
+    const rect = cropRectangle([0, 0, width, height], options);
+    const size = outputSize(rect, options.resize);
+    const toRectangle = [
+        rect.width / size.width, 0, rect.left,
+        0, rect.height / size.height, rect.top,
+        0, 0, 1,
+    ];
+    const toImage = homography([[0, 0], [width, 0], [width, height], [0, height]], quad);
+    const matrix = multiply(toImage, toRectangle);
+
+    // Only read the part of the image the output maps to
+    const corners = [[0, 0], [size.width, 0], [size.width, size.height], [0, size.height]].map(p => applyHomography(matrix, p));
+    const [xmin, ymin, xmax, ymax] = boxBounds({
+        x1: corners[0][0], y1: corners[0][1], x2: corners[1][0], y2: corners[1][1],
+        x3: corners[2][0], y3: corners[2][1], x4: corners[3][0], y4: corners[3][1],
+    });
+    const left = Math.max(0, Math.floor(xmin) - 1);
+    const top = Math.max(0, Math.floor(ymin) - 1);
+    const right = Math.min(imageWidth, Math.ceil(xmax) + 1);
+    const bottom = Math.min(imageHeight, Math.ceil(ymax) + 1);
+    if (right - left <= 0 || bottom - top <= 0) {
+        throw new Error('Invalid crop dimensions');
+    }
+    const region = sourceCanvas.getContext('2d').getImageData(left, top, right - left, bottom - top);
+
+    // JPEG has no alpha: fill the area outside the image
+    const background = format.value === 'jpeg' ? [0, 0, 0, 255] : [0, 0, 0, 0];
+    const pixels = warpPerspective({ data: region.data, width: region.width, height: region.height, left, top }, matrix, size.width, size.height, background);
+
+    const cropCanvas = new OffscreenCanvas(size.width, size.height);
+    cropCanvas.getContext('2d').putImageData(new ImageData(pixels, size.width, size.height), 0, 0);
+    return canvasToBlob(cropCanvas, format, options.quality);
+}
+
+/**
+ * Encode a canvas as an image file
+ * @param {OffscreenCanvas} canvas
+ * @param {{type: string}} format - Entry of `CROP_FORMATS`
+ * @param {number} quality - Quality for lossy formats (0-1)
+ * @returns {Promise<Blob>}
+ */
+function canvasToBlob(canvas, format, quality) {
+    return canvas.convertToBlob({ type: format.type, quality });
+}
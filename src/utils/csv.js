@@ -0,0 +1,200 @@
+/**
+ * RFC 4180 CSV reading: CRLF or LF line breaks, quoted fields with commas,
+ * line breaks and "" escapes. Values are kept as text
+ */
+
+/**
+ * Incremental CSV parser fed with chunks of text
+ * Records are returned as they complete, with the line they start on
+ */
+export class CSVParser {
+    constructor() {
+        this.field = '';
+        this.fields = [];
+        this.quoted = false; // Current field started with a quote
+        this.inQuotes = false;
+        this.quoteInQuotes = false; // A quote inside a quoted field: closing or escaped
+        this.skipLF = false; // Last character was a CR ending a record
+        this.line = 1;
+        this.recordLine = 1;
+        this.started = false;
+    }
+
+    /**
+     * Parse the next chunk of text
+     * @param {string} text
+     * @returns {Array<{fields: string[], line: number}>} Records completed by this chunk
+     */
+    push(text) {
+        const records = [];
+        let start = 0;
+        if (!this.started && text.length > 0) {
+            this.started = true;
+            // Spreadsheet exports often start with a byte order mark
+            if (text.charCodeAt(0) === 0xFEFF) start = 1;
+        }
+
+        for (let i = start; i < text.length; i++) {
+            const c = text[i];
+
+            if (this.skipLF) {
+                this.skipLF = false;
+                if (c === '\n') continue;
+            }
+
+            if (this.inQuotes) {
+                if (this.quoteInQuotes) {
+                    this.quoteInQuotes = false;
+                    if (c === '"') {
+                        this.field += '"';
+                        continue;
+                    }
+                    // The quote closed the field: handle the character below
+                    this.inQuotes = false;
+                } else {
+                    if (c === '"') {
+                        this.quoteInQuotes = true;
+                    } else {
+                        this.field += c;
+                        if (c === '\n') this.line++;
+                    }
+                    continue;
+                }
+            }
+
+            if (c === ',') {
+                this.endField();
+            } else if (c === '\n' || c === '\r') {
+                this.endRecord(records);
+                this.line++;
+                this.skipLF = c === '\r';
+            } else if (c === '"') {
+                if (this.quoted || this.field !== '') {
+                    throw new Error(`CSV line ${this.line}: unexpected quote in a field; quote the whole field and escape quotes as ""`);
+                }
+                this.quoted = true;
+                this.inQuotes = true;
+            } else if (this.quoted) {
+                throw new Error(`CSV line ${this.line}: unexpected "${c}" after a closing quote`);
+            } else {
+                this.field += c;
+            }
+        }
+        return records;
+    }
+
+    /**
+     * Finish parsing once all text was pushed
+     * @returns {Array<{fields: string[], line: number}>} The last record, if the text did not end with a line break
+     */
+    end() {
+        if (this.inQuotes && !this.quoteInQuotes) {
+            throw new Error(`CSV line ${this.recordLine}: quoted field is never closed`);
+        }
+        this.inQuotes = false;
+        this.quoteInQuotes = false;
+        const records = [];
+        this.endRecord(records);
+        return records;
+    }
+
+    endField() {
+        this.fields.push(this.field);
+        this.field = '';
+        this.quoted = false;
+    }
+
+    endRecord(records) {
+        // Skip blank lines
+        if (this.fields.length > 0 || this.field !== '' || this.quoted) {
+            this.endField();
+            records.push({ fields: this.fields, line: this.recordLine });
+        }
+        this.fields = [];
+        this.recordLine = this.line + 1;
+    }
+}
+
+/**
+ * Turn parsed records into objects keyed by the header row
+ * @param {Object} state - `{ headers }`, filled from the first record
+ * @param {{fields: string[], line: number}} record
+ * @returns {Object|null} Row, or null for the header row
+ */
+function recordToRow(state, { fields, line }) {
+    if (!state.headers) {
+        state.headers = fields.map(h => h.trim());
+        return null;
+    }
+    if (fields.length !== state.headers.length) {
+        throw new Error(`CSV line ${line}: expected ${state.headers.length} fields but found ${fields.length}`);
+    }
+    const row = {};
+    state.headers.forEach((header, index) => {
+        row[header] = fields[index];
+    });
+    return row;
+}
+
+/**
+ * Parse CSV text into objects keyed by the header row
+ * @param {string} csvContent - CSV file content
+ * @returns {Array<Object>} Rows with text values
+ */
+export function parseCSV(csvContent) {
+    const parser = new CSVParser();
+    const state = {};
+    return [...parser.push(csvContent), ...parser.end()]
+        .map(record => recordToRow(state, record))
+        .filter(Boolean);
+}
+
+/**
+ * Stream the records of a CSV file without loading it into memory at once
+ * @param {Blob} file - CSV file
+ * @yields {{fields: string[], line: number}}
+ */
+export async function* readCSVRecords(file) {
+    const parser = new CSVParser();
+    const reader = file.stream().pipeThrough(new TextDecoderStream()).getReader();
+    try {
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            yield* parser.push(value);
+        }
+    } finally {
+        reader.releaseLock();
+    }
+    yield* parser.end();
+}
+
+/**
+ * Stream the rows of a CSV file as objects keyed by the header row
+ * @param {Blob} file - CSV file
+ * @yields {Object} Rows with text values
+ */
+export async function* readCSVRows(file) {
+    const state = {};
+    for await (const record of readCSVRecords(file)) {
+        const row = recordToRow(state, record);
+        if (row) yield row;
+    }
+}
+
+/**
+ * Read the headers and first rows of a CSV file, e.g. to preview it
+ * @param {Blob} file - CSV file
+ * @param {number} [count] - Number of rows to read
+ * @returns {Promise<{headers: string[], rows: Array<Object>}>}
+ */
+export async function previewCSV(file, count = 5) {
+    const state = {};
+    const rows = [];
+    for await (const record of readCSVRecords(file)) {
+        const row = recordToRow(state, record);
+        if (row) rows.push(row);
+        if (rows.length >= count) break;
+    }
+    return { headers: state.headers ?? [], rows };
+}
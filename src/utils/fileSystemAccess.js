@@ -2,29 +2,69 @@
  * Utility functions for File System Access API
  */
 
+import { DEFAULT_SCAN_OPTIONS, scanDirectory, fileListHandle, droppedEntriesHandle } from './folderScan';
+
+/**
+ * Let the user pick files with a hidden file input, for browsers without the file pickers
+ * @param {Object} [options]
+ * @param {string} [options.accept] - Accepted types, as in the `accept` attribute
+ * @param {boolean} [options.multiple] - Allow several files
+ * @param {boolean} [options.directory] - Pick a folder (`webkitdirectory`) and get all its files
+ * @returns {Promise<File[]>} Selected files, empty when cancelled
+ */
+function pickWithInput({ accept = '', multiple = false, directory = false } = {}) {
+    return new Promise((resolve) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = accept;
+        input.multiple = multiple;
+        input.webkitdirectory = directory;
+        input.addEventListener('change', () => resolve([...input.files]));
+        input.addEventListener('cancel', () => resolve([]));
+        input.click();
+    });
+}
+
+/**
+ * Collect the images of a folder, giving each its `relativePath`
+ * @param {Object} dirHandle - Directory handle, or a handle from `fileListHandle`/`droppedEntriesHandle`
+ * @param {Object} options - Depth and glob filters (see `DEFAULT_SCAN_OPTIONS`)
+ * @returns {Promise<File[]>} Image files, in path order
+ */
+async function collectImages(dirHandle, options) {
+    const files = [];
+    for await (const { path, handle } of scanDirectory(dirHandle, options)) {
+        const file = await handle.getFile();
+        // Check if it's an image file
+        if (file.type.startsWith('image/')) {
+            file.relativePath = path;
+            files.push(file);
+        }
+    }
+    return files;
+}
+
 /**
- * Open a directory picker and return files from the selected directory
- * @returns {Promise<File[]>} Array of image files
+ * Open a directory picker and return the images in the selected directory and its subfolders
+ * Each file gets a `relativePath` (e.g. `site/date/camera/0001.jpg`), so images
+ * with the same name in different subfolders stay apart. Browsers without
+ * `showDirectoryPicker` get a folder file input instead
+ * @param {Object} [options] - Depth and glob filters (see `DEFAULT_SCAN_OPTIONS`)
+ * @returns {Promise<File[]>} Array of image files, in path order
  */
-export async function pickImageDirectory() {
+export async function pickImageDirectory(options = DEFAULT_SCAN_OPTIONS) {
+    if (!('showDirectoryPicker' in window)) {
+        const files = await pickWithInput({ multiple: true, directory: true });
+        return collectImages(fileListHandle(files), options);
+    }
+
     try {
         const dirHandle = await window.showDirectoryPicker({
             mode: 'read',
             startIn: 'pictures'
         });
 
-        const files = [];
-        for await (const entry of dirHandle.values()) {
-            if (entry.kind === 'file') {
-                const file = await entry.getFile();
-                // Check if it's an image file
-                if (file.type.startsWith('image/')) {
-                    files.push(file);
-                }
-            }
-        }
-
-        return files;
+        return await collectImages(dirHandle, options);
     } catch (err) {
         if (err.name === 'AbortError') {
             console.log('User cancelled directory picker');
@@ -34,11 +74,36 @@ export async function pickImageDirectory() {
     }
 }
 
+/**
+ * Read the images of files and folders dropped on the page
+ * Must be called from the `drop` event handler itself: the dropped items are
+ * only readable until the handler returns
+ * @param {DataTransfer} dataTransfer - `dataTransfer` of the drop event
+ * @param {Object} [options] - Depth and glob filters (see `DEFAULT_SCAN_OPTIONS`)
+ * @returns {Promise<File[]>} Image files with their `relativePath`, in path order
+ */
+export function readDroppedImages(dataTransfer, options = DEFAULT_SCAN_OPTIONS) {
+    const entries = [...dataTransfer.items]
+        .filter(item => item.kind === 'file')
+        .map(item => item.webkitGetAsEntry?.())
+        .filter(Boolean);
+    if (entries.length === 0) {
+        // Without entries folders cannot be read, but dropped files still can
+        const files = [...dataTransfer.files];
+        return collectImages(fileListHandle(files), options);
+    }
+    return collectImages(droppedEntriesHandle(entries), options);
+}
+
 /**
  * Open multiple file picker for images
  * @returns {Promise<File[]>} Array of selected image files
  */
 export async function pickMultipleImages() {
+    if (!('showOpenFilePicker' in window)) {
+        return pickWithInput({ accept: 'image/*', multiple: true });
+    }
+
     try {
         const fileHandles = await window.showOpenFilePicker({
             types: [
@@ -67,6 +132,30 @@ export async function pickMultipleImages() {
     }
 }
 
+/**
+ * Open a file picker for one file
+ * @param {Array} types - File picker accept types
+ * @returns {Promise<File|null>} Selected file, or null when cancelled
+ */
+export async function pickFile(types) {
+    if (!('showOpenFilePicker' in window)) {
+        const accept = types.flatMap(type => Object.entries(type.accept).flat(2)).join(',');
+        const [file] = await pickWithInput({ accept });
+        return file ?? null;
+    }
+
+    try {
+        const [fileHandle] = await window.showOpenFilePicker({ types, multiple: false });
+        return await fileHandle.getFile();
+    } catch (err) {
+        if (err.name === 'AbortError') {
+            console.log('User cancelled file picker');
+            return null;
+        }
+        throw err;
+    }
+}
+
 /**
  * Save results to a JSON file
  * @param {Object} data - Data to save
@@ -179,6 +268,23 @@ export async function saveResultsDirectory(results) {
     }
 }
 
+/**
+ * Download a file through the browser, for browsers that cannot save with a picker
+ * @param {Blob} blob - File content
+ * @param {string} filename - Name of the downloaded file
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoking right away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
+
 /**
  * Check if File System Access API is supported
  */
@@ -0,0 +1,96 @@
+/**
+ * Florence-2 location tokens and the post-processing not covered by Transformers.js
+ */
+
+// Florence-2 quantizes coordinates into 1000 bins per axis
+const NUM_BINS = 1000;
+
+// Post-processing types that `Florence2Processor.post_process_generation` does not implement
+export const POLYGON_POST_PROCESSING_TYPES = ['polygons', 'description_with_bboxes_or_polygons'];
+
+/**
+ * Convert a pixel box to Florence-2 location tokens
+ * @param {number[]} bbox - [xmin, ymin, xmax, ymax] in pixels
+ * @param {[number, number]} image_size - [width, height]
+ * @returns {string} e.g. '<loc_52><loc_332><loc_932><loc_774>'
+ */
+export function boxToLocationTokens(bbox, image_size) {
+    return bbox.map((value, i) => {
+        const bin = Math.floor(value / image_size[i % 2] * NUM_BINS);
+        return `<loc_${Math.min(NUM_BINS - 1, Math.max(0, bin))}>`;
+    }).join('');
+}
+
+/**
+ * Normalize a region input to location tokens
+ * Accepts location tokens as-is, or four pixel coordinates "xmin,ymin,xmax,ymax"
+ * @param {string} text - Region input
+ * @param {[number, number]} image_size - [width, height]
+ * @returns {string}
+ */
+export function parseRegionInput(text, image_size) {
+    const trimmed = text.trim();
+    const values = trimmed.split(/[\s,]+/).map(Number);
+    if (values.length === 4 && values.every(Number.isFinite)) {
+        return boxToLocationTokens(values, image_size);
+    }
+    if (!/^(<loc_\d+>){4}$/.test(trimmed)) {
+        throw new Error(`Invalid region "${text}": expected <loc_x1><loc_y1><loc_x2><loc_y2> or xmin,ymin,xmax,ymax in pixels`);
+    }
+    return trimmed;
+}
+
+/**
+ * Convert location bins to pixel coordinates, alternating x and y
+ * @param {number[]} bins
+ * @param {[number, number]} image_size - [width, height]
+ * @returns {number[]}
+ */
+function binsToCoordinates(bins, image_size) {
+    // Use the center position of the bin as the coordinate
+    return bins.map((bin, i) => (bin + 0.5) / NUM_BINS * image_size[i % 2]);
+}
+
+/**
+ * Parse generated text that holds polygons (and boxes for open-vocabulary detection)
+ * @param {string} text - Generated text including special tokens
+ * @param {string} type - 'polygons' or 'description_with_bboxes_or_polygons'
+ * @param {[number, number]} image_size - [width, height]
+ * @returns {Object} `{ polygons, labels }` where each instance holds a list of flat
+ *   [x1, y1, x2, y2, ...] polygons, or `{ bboxes, bboxes_labels, polygons, polygons_labels }`
+ */
+export function parsePolygons(text, type, image_size) {
+    text = text.replaceAll('<s>', '').replaceAll('</s>', '').replaceAll('<pad>', '');
+
+    const bboxes = [];
+    const bboxes_labels = [];
+    const polygons = [];
+    const polygons_labels = [];
+
+    let lastLabel = '';
+    const instances = text.matchAll(/([^<]*)((?:<loc_\d+>|<sep>|<poly>|<\/poly>)+)/g);
+    for (const [, rawLabel, locations] of instances) {
+        const label = rawLabel.trim() || lastLabel;
+        lastLabel = label;
+
+        const instancePolygons = [];
+        for (const part of locations.split(/<sep>|<\/poly>/)) {
+            const bins = [...part.matchAll(/<loc_(\d+)>/g)].map(match => Number(match[1]));
+            if (type === 'description_with_bboxes_or_polygons' && bins.length === 4 && !part.includes('<poly>')) {
+                bboxes.push(binsToCoordinates(bins, image_size));
+                bboxes_labels.push(label);
+            } else if (bins.length >= 6) {
+                // At least three points, dropping a dangling coordinate
+                instancePolygons.push(binsToCoordinates(bins.slice(0, bins.length - bins.length % 2), image_size));
+            }
+        }
+        if (instancePolygons.length > 0) {
+            polygons.push(instancePolygons);
+            polygons_labels.push(label);
+        }
+    }
+
+    return type === 'polygons'
+        ? { polygons, labels: polygons_labels }
+        : { bboxes, bboxes_labels, polygons, polygons_labels };
+}
@@ -0,0 +1,188 @@
+/**
+ * Recursive folder scanning with depth and glob filters
+ */
+
+// `depth` is the number of folder levels scanned (1 = only the chosen folder, 0 = no limit);
+// `include` and `exclude` are comma-separated glob patterns (see `globToRegExp`)
+export const DEFAULT_SCAN_OPTIONS = {
+    depth: 0,
+    include: '',
+    exclude: '',
+};
+
+/**
+ * Convert a glob pattern into a regular expression matching relative paths
+ * `*` matches within a name, `**` across folders, `?` one character and `[abc]`
+ * a set. Patterns without `/` match the file or folder name at any depth, as in
+ * `.gitignore`; matching ignores case
+ * @param {string} pattern - e.g. `*.jpg`, `thumbs` or `site1/**`
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+    const glob = pattern.trim().replace(/\\/g, '/').replace(/^\/|\/$/g, '');
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const c = glob[i];
+        if (c === '*' && glob[i + 1] === '*') {
+            // `**/` also matches no folder at all
+            if (glob[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i++;
+            }
+        } else if (c === '*') {
+            source += '[^/]*';
+        } else if (c === '?') {
+            source += '[^/]';
+        } else if (c === '[' && glob.indexOf(']', i + 2) !== -1) {
+            const end = glob.indexOf(']', i + 2);
+            const set = glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+            source += `[${set}]`;
+            i = end;
+        } else {
+            source += c.replace(/[.+^${}()|\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(glob.includes('/') ? `^${source}$` : `(?:^|/)${source}$`, 'i');
+}
+
+/**
+ * Parse a comma-separated list of glob patterns
+ * @param {string} patterns
+ * @returns {RegExp[]}
+ */
+function parsePatterns(patterns) {
+    return String(patterns ?? '')
+        .split(',')
+        .filter(pattern => pattern.trim())
+        .map(globToRegExp);
+}
+
+/**
+ * Walk a directory, yielding the files that pass the scan filters
+ * Excluded folders are not entered. Entries are yielded in name order, so
+ * repeated scans list files in the same order
+ * @param {FileSystemDirectoryHandle} dirHandle - Folder to scan
+ * @param {Object} [options] - Scan options (see `DEFAULT_SCAN_OPTIONS`)
+ * @returns {AsyncGenerator<{path: string, handle: FileSystemFileHandle}>} Files with their path relative to `dirHandle`
+ */
+export async function* scanDirectory(dirHandle, options = DEFAULT_SCAN_OPTIONS) {
+    const { depth = 0 } = options;
+    const include = parsePatterns(options.include);
+    const exclude = parsePatterns(options.exclude);
+
+    async function* walk(handle, prefix, level) {
+        const entries = [];
+        for await (const entry of handle.values()) {
+            entries.push(entry);
+        }
+        entries.sort((a, b) => a.name.localeCompare(b.name));
+
+        for (const entry of entries) {
+            const path = prefix + entry.name;
+            if (exclude.some(pattern => pattern.test(path))) continue;
+
+            if (entry.kind === 'directory') {
+                if (depth === 0 || level < depth) {
+                    yield* walk(entry, `${path}/`, level + 1);
+                }
+            } else if (include.length === 0 || include.some(pattern => pattern.test(path))) {
+                yield { path, handle: entry };
+            }
+        }
+    }
+
+    yield* walk(dirHandle, '', 1);
+}
+
+/**
+ * Folder made of given entries, with the parts of a directory handle `scanDirectory` uses
+ * @param {string} name
+ * @param {Map<string, Object>} [children] - Entries by name
+ * @returns {{kind: string, name: string, children: Map<string, Object>, values: Function}}
+ */
+function virtualDirectory(name, children = new Map()) {
+    return {
+        kind: 'directory',
+        name,
+        children,
+        async *values() {
+            yield* children.values();
+        },
+    };
+}
+
+/**
+ * Directory handle over the files of an `<input webkitdirectory>`, for browsers
+ * without `showDirectoryPicker`
+ * @param {Array<File>} files - Files whose `webkitRelativePath` starts with the chosen folder
+ * @returns {Object} Handle of the chosen folder, to pass to `scanDirectory`
+ */
+export function fileListHandle(files) {
+    const root = virtualDirectory('');
+    for (const file of files) {
+        const folders = (file.webkitRelativePath || file.name).split('/').slice(1, -1);
+        let dir = root;
+        for (const folder of folders) {
+            if (!dir.children.has(folder)) {
+                dir.children.set(folder, virtualDirectory(folder));
+            }
+            dir = dir.children.get(folder);
+        }
+        dir.children.set(file.name, { kind: 'file', name: file.name, getFile: async () => file });
+    }
+    return root;
+}
+
+/**
+ * Directory handle over dropped files and folders (`DataTransferItem.webkitGetAsEntry()`)
+ * A single dropped folder is scanned like a picked folder; several dropped
+ * items are scanned as one folder holding them
+ * @param {Array<FileSystemEntry>} entries
+ * @returns {Object} Handle to pass to `scanDirectory`
+ */
+export function droppedEntriesHandle(entries) {
+    if (entries.length === 1 && entries[0].isDirectory) {
+        return entryHandle(entries[0]);
+    }
+    return virtualDirectory('', new Map(entries.map(entry => [entry.name, entryHandle(entry)])));
+}
+
+/**
+ * Wrap a file system entry of a drop in the parts of a handle `scanDirectory` uses
+ * @param {FileSystemEntry} entry
+ * @returns {Object}
+ */
+function entryHandle(entry) {
+    if (entry.isFile) {
+        return {
+            kind: 'file',
+            name: entry.name,
+            getFile: () => new Promise((resolve, reject) => entry.file(resolve, reject)),
+        };
+    }
+    return {
+        kind: 'directory',
+        name: entry.name,
+        async *values() {
+            // Entries come in batches until an empty one
+            const reader = entry.createReader();
+            for (;;) {
+                const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                if (batch.length === 0) break;
+                yield* batch.map(entryHandle);
+            }
+        },
+    };
+}
+
+/**
+ * Path of an image relative to the folder it was picked from, or its name
+ * @param {File} file - Image file, with `relativePath` when it comes from a folder scan
+ * @returns {string}
+ */
+export function imagePath(file) {
+    return file.relativePath || file.name;
+}
@@ -2,150 +2,229 @@
  * Crop bounding boxes from images and save them
  */
 
+import { getRegions } from './regions';
+import { readCSVRows } from './csv';
+import { guessColumnMapping, hasCoordinates, mapDetection } from './columnMapping';
+import { DEFAULT_CROP_TEMPLATE, cropPlaceholders, renderCropPath } from './cropLayout';
+import { CROP_FORMATS, DEFAULT_CROP_OPTIONS } from './cropOptions';
+import { DEFAULT_CROP_FILTERS, filterDetections } from './cropFilters';
+import { imagePath } from './folderScan';
+
 /**
- * Load an image file and return canvas context
- * @param {File} file - Image file
- * @returns {Promise<{canvas: HTMLCanvasElement, ctx: CanvasRenderingContext2D, width: number, height: number}>}
+ * Parse JSON Lines content into an array of objects, skipping blank lines
+ * An unparseable last line without a trailing newline was cut off by a crash and is skipped
+ * @param {string} content - JSON Lines file content
+ * @returns {Array<Object>}
  */
-async function loadImageToCanvas(file) {
-    return new Promise((resolve, reject) => {
-        const img = new Image();
-        img.onload = () => {
-            const canvas = document.createElement('canvas');
-            canvas.width = img.width;
-            canvas.height = img.height;
-            const ctx = canvas.getContext('2d');
-            ctx.drawImage(img, 0, 0);
-            resolve({ canvas, ctx, width: img.width, height: img.height });
-        };
-        img.onerror = reject;
-        img.src = URL.createObjectURL(file);
+export function parseJSONLines(content) {
+    const records = [];
+    const lines = content.split('\n');
+    lines.forEach((line, index) => {
+        if (!line.trim()) return;
+        try {
+            records.push(JSON.parse(line));
+        } catch (err) {
+            if (index === lines.length - 1) return;
+            throw new Error(`Invalid JSON on line ${index + 1}: ${err.message}`);
+        }
     });
+    return records;
 }
 
 /**
- * Crop a region from canvas and return as blob
- * @param {HTMLCanvasElement} sourceCanvas - Source canvas
- * @param {Object} bbox - Bounding box {xmin, ymin, xmax, ymax} or {x1, y1, x2, y2, x3, y3, x4, y4} for quad box
- * @param {number} imageWidth - Original image width
- * @param {number} imageHeight - Original image height
- * @returns {Promise<Blob>}
+ * Convert batch result records (JSON or JSON Lines output) into crop rows
+ * @param {Array<Object>} records - Records with `filename` and `result` or `results`
+ * @returns {Array<Object>} Rows with filename, label, id and xmin..ymax or x1..y4
  */
-async function cropRegion(sourceCanvas, bbox, imageWidth, imageHeight) {
-    // Check if this is a quad box (8 coordinates) or regular bbox (4 coordinates)
-    if ('x1' in bbox && 'y1' in bbox && 'x2' in bbox && 'y2' in bbox && 
-        'x3' in bbox && 'y3' in bbox && 'x4' in bbox && 'y4' in bbox) {
-        // Quad box format - find bounding rectangle
-        const xs = [bbox.x1, bbox.x2, bbox.x3, bbox.x4];
-        const ys = [bbox.y1, bbox.y2, bbox.y3, bbox.y4];
-        const xmin = Math.min(...xs);
-        const xmax = Math.max(...xs);
-        const ymin = Math.min(...ys);
-        const ymax = Math.max(...ys);
-        
-        // Convert to regular bbox and continue
-        return cropRegion(sourceCanvas, { xmin, ymin, xmax, ymax }, imageWidth, imageHeight);
+export function resultsToDetections(records) {
+    const rows = [];
+    for (const record of records) {
+        if (!record.filename || record.error) continue;
+
+        const taskResults = record.results ? Object.values(record.results) : [record.result];
+        for (const taskResult of taskResults) {
+            for (const region of getRegions(taskResult)) {
+                const row = { id: rows.length, filename: record.filename, label: region.label };
+                if (region.kind === 'quad') {
+                    region.points.forEach(([x, y], i) => {
+                        row[`x${i + 1}`] = x;
+                        row[`y${i + 1}`] = y;
+                    });
+                } else {
+                    [row.xmin, row.ymin, row.xmax, row.ymax] = region.bbox;
+                }
+                rows.push(row);
+            }
+        }
     }
-    
-    const { xmin, ymin, xmax, ymax } = bbox;
-    
-    // Clamp coordinates to image boundaries
-    const left = Math.max(0, Math.min(xmin, imageWidth));
-    const top = Math.max(0, Math.min(ymin, imageHeight));
-    const right = Math.max(0, Math.min(xmax, imageWidth));
-    const bottom = Math.max(0, Math.min(ymax, imageHeight));
-    
-    const width = right - left;
-    const height = bottom - top;
-    
-    if (width <= 0 || height <= 0) {
-        throw new Error('Invalid crop dimensions');
+    return rows;
+}
+
+/**
+ * Read a CSV, JSON or JSON Lines results file once, ahead of mapping its columns
+ * CSV files are streamed, so large detection files are never held in memory as text;
+ * their rows are kept so a changed mapping does not read the file again
+ * @param {File} file - Results file
+ * @returns {Promise<{rows: Array<Object>}|{detections: Array<Object>}>} CSV rows, or the
+ *   crop rows of a JSON output, whose layout is known
+ */
+export async function readResultsFile(file) {
+    if (!/\.jsonl?$/i.test(file.name)) {
+        const rows = [];
+        for await (const row of readCSVRows(file)) {
+            rows.push(row);
+        }
+        return { rows };
     }
-    
-    // Create a new canvas for the cropped region
-    const cropCanvas = document.createElement('canvas');
-    cropCanvas.width = width;
-    cropCanvas.height = height;
-    const ctx = cropCanvas.getContext('2d');
-    
-    // Draw the cropped region
-    ctx.drawImage(
-        sourceCanvas,
-        left, top, width, height,
-        0, 0, width, height
-    );
-    
-    // Convert to blob
-    return new Promise((resolve, reject) => {
-        cropCanvas.toBlob((blob) => {
-            if (blob) {
-                resolve(blob);
-            } else {
-                reject(new Error('Failed to create blob'));
-            }
-        }, 'image/jpeg', 0.95);
-    });
+
+    const content = await file.text();
+    if (/\.jsonl$/i.test(file.name)) {
+        return { detections: resultsToDetections(parseJSONLines(content)) };
+    }
+    // Outputs written before run manifests were a bare array of results
+    const data = JSON.parse(content);
+    return { detections: resultsToDetections(Array.isArray(data) ? data : data.results ?? []) };
 }
 
 /**
- * Parse CSV content into array of objects
- * @param {string} csvContent - CSV file content
- * @returns {Array<Object>}
+ * Crop rows of a results file read with `readResultsFile`
+ * CSV rows without coordinates (failed or empty images) are left out
+ * @param {Object} results - Result of `readResultsFile`
+ * @param {Object} [mapping] - CSV column mapping from `guessColumnMapping`, guessed from the headers when omitted
+ * @returns {Array<Object>} Crop rows
  */
-export function parseCSV(csvContent) {
-    const lines = csvContent.trim().split('\n');
-    if (lines.length === 0) return [];
-    
-    const headers = lines[0].split(',').map(h => h.trim());
-    const data = [];
-    
-    for (let i = 1; i < lines.length; i++) {
-        // Handle quoted values that may contain commas
-        const values = [];
-        let current = '';
-        let inQuotes = false;
-        
-        for (let j = 0; j < lines[i].length; j++) {
-            const char = lines[i][j];
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                values.push(current.trim());
-                current = '';
-            } else {
-                current += char;
-            }
+export function mapResults(results, mapping) {
+    if (results.detections) return results.detections;
+    if (results.rows.length > 0) {
+        mapping ??= guessColumnMapping(Object.keys(results.rows[0]), [results.rows[0]]);
+    }
+    return results.rows.filter(row => hasCoordinates(row, mapping)).map(row => mapDetection(row, mapping));
+}
+
+/**
+ * Get (creating as needed) the subfolder of the output for a list of folder names
+ * @param {Map<string, FileSystemDirectoryHandle>} dirHandles - Cache keyed by path, holding the output under ''
+ * @param {string[]} folders - Folder names from the output root
+ * @returns {Promise<FileSystemDirectoryHandle>}
+ */
+async function getSubdirectory(dirHandles, folders) {
+    let path = '';
+    let handle = dirHandles.get('');
+    for (const folder of folders) {
+        path = path ? `${path}/${folder}` : folder;
+        if (!dirHandles.has(path)) {
+            dirHandles.set(path, await handle.getDirectoryHandle(folder, { create: true }));
         }
-        values.push(current.trim());
-        
-        const obj = {};
-        headers.forEach((header, index) => {
-            const value = values[index];
-            // Try to parse numbers (including decimals and negatives)
-            if (value && !isNaN(value)) {
-                obj[header] = parseFloat(value);
-            } else {
-                obj[header] = value;
-            }
-        });
-        data.push(obj);
+        handle = dirHandles.get(path);
     }
-    
-    return data;
+    return handle;
+}
+
+/**
+ * Make a crop filename unique within its folder by adding `_2`, `_3`, ...
+ * @param {Set<string>} usedPaths - Paths already written, updated with the result
+ * @param {string} folder - Folder path
+ * @param {string} filename - Wanted filename
+ * @returns {string}
+ */
+function uniqueFilename(usedPaths, folder, filename) {
+    const dot = filename.lastIndexOf('.');
+    let candidate = filename;
+    for (let n = 2; usedPaths.has(`${folder}/${candidate}`.toLowerCase()); n++) {
+        candidate = `${filename.slice(0, dot)}_${n}${filename.slice(dot)}`;
+    }
+    usedPaths.add(`${folder}/${candidate}`.toLowerCase());
+    return candidate;
+}
+
+/**
+ * Match the image names of detections to the selected image files
+ * Names are matched by relative path first (`site/date/0001.jpg`); a name whose
+ * path does not match is looked up by its filename, as long as only one selected
+ * image has that filename
+ * @param {Array<File>} imageFiles - Image files, with `relativePath` when picked from a folder
+ * @returns {function(string): (File|undefined)}
+ */
+function imageLookup(imageFiles) {
+    const byPath = new Map();
+    const byName = new Map(); // filename -> file, or null when several images share it
+    for (const file of imageFiles) {
+        byPath.set(imagePath(file), file);
+        byName.set(file.name, byName.has(file.name) ? null : file);
+    }
+    return (name) => {
+        const path = String(name).replace(/\\/g, '/').replace(/^\.?\//, '');
+        return byPath.get(path) ?? byName.get(path.slice(path.lastIndexOf('/') + 1)) ?? undefined;
+    };
+}
+
+/**
+ * Start a worker that crops images off the main thread
+ * @returns {Worker}
+ */
+function createCropWorker() {
+    return new Worker(new URL('../cropWorker.js', import.meta.url), { type: 'module' });
+}
+
+/**
+ * Crop the detections of one image in a crop worker
+ * @param {Worker} worker - Idle crop worker
+ * @param {{id: number, file: File, detections: Array<Object>, options: Object}} request
+ * @returns {Promise<{crops?: Array<{blob?: Blob, skipped?: string, error?: string}>, error?: string}>}
+ *   One crop per detection, or the error that stopped the whole image. Rejects when the worker itself fails
+ */
+function runCropWorker(worker, request) {
+    return new Promise((resolve, reject) => {
+        const cleanup = () => {
+            worker.removeEventListener('message', onMessage);
+            worker.removeEventListener('error', onError);
+        };
+        const onMessage = (e) => {
+            if (e.data.id !== request.id) return;
+            cleanup();
+            resolve(e.data);
+        };
+        const onError = (e) => {
+            cleanup();
+            reject(new Error(e.message || 'Crop worker failed'));
+        };
+        worker.addEventListener('message', onMessage);
+        worker.addEventListener('error', onError);
+        worker.postMessage(request);
+    });
 }
 
 /**
  * Process images and crop bounding boxes, saving them immediately as a stream
  * @param {Array} csvData - Parsed CSV data with bbox info
- * @param {Array<File>} imageFiles - Array of image files
+ * @param {Array<File>} imageFiles - Array of image files, matched to detections by relative path or name
  * @param {FileSystemDirectoryHandle} outputDirHandle - Output directory handle
  * @param {Function} progressCallback - Progress callback (current, total, message)
+ * @param {Object} [options]
+ * @param {string} [options.template] - Crop path template, e.g. `{label}/{image}_{id}` (see `renderCropPath`)
+ * @param {Object} [options.crop] - Padding, square expansion, resize, minimum size, format and worker count (see `DEFAULT_CROP_OPTIONS`)
+ * @param {Object} [options.filters] - Score threshold and label filters (see `DEFAULT_CROP_FILTERS`)
  * @returns {Promise<{saved: number, failed: number, skipped: number}>}
  */
-export async function cropAndSaveImagesStreaming(csvData, imageFiles, outputDirHandle, progressCallback) {
+export async function cropAndSaveImagesStreaming(csvData, imageFiles, outputDirHandle, progressCallback, options = {}) {
+    const { template = DEFAULT_CROP_TEMPLATE, filters = DEFAULT_CROP_FILTERS } = options;
+    const crop = { ...DEFAULT_CROP_OPTIONS, ...options.crop };
+    const { extension } = CROP_FORMATS.find(f => f.value === crop.format) ?? CROP_FORMATS[0];
+
+    // Number detections within their image before filtering, so ids do not depend on the filters
+    const indexInImage = new Map();
+    const imageCounts = new Map();
+    csvData.forEach(row => {
+        const filename = row.image || row.filename;
+        const count = imageCounts.get(filename) ?? 0;
+        imageCounts.set(filename, count + 1);
+        indexInImage.set(row, count);
+    });
+    const { kept, skipped: filtered } = filterDetections(csvData, filters);
+
     // Group CSV data by image filename
     const groupedData = {};
-    csvData.forEach(row => {
+    kept.forEach(row => {
         const filename = row.image || row.filename;
         if (!filename) return;
         
@@ -155,155 +234,113 @@ export async function cropAndSaveImagesStreaming(csvData, imageFiles, outputDirH
         groupedData[filename].push(row);
     });
     
-    // Create a map of image files by name
-    const imageMap = {};
-    imageFiles.forEach(file => {
-        imageMap[file.name] = file;
-    });
-    
-    // Create image subdirectories cache
-    const imageDirHandles = {};
+    const findImage = imageLookup(imageFiles);
     
-    const totalImages = Object.keys(groupedData).length;
-    let processedImages = 0;
+    // Subfolder handles by path, and paths already written so crops never overwrite each other
+    const dirHandles = new Map([['', outputDirHandle]]);
+    const usedPaths = new Set();
+
+    const images = Object.entries(groupedData);
+    const totalImages = images.length;
+    let startedImages = 0;
     let saved = 0;
     let failed = 0;
-    let skipped = 0;
-    
-    for (const [filename, bboxes] of Object.entries(groupedData)) {
-        const imageFile = imageMap[filename];
-        
+    let skipped = filtered;
+
+    /**
+     * Crop one image in an idle worker
+     * @returns {Promise<{filename: string, bboxes: Array<Object>, missing?: boolean, crops?: Array<Object>, error?: Error}>}
+     */
+    const cropImage = async (filename, bboxes) => {
+        const imageFile = findImage(filename);
         if (!imageFile) {
-            progressCallback(processedImages + 1, totalImages, `Skipping ${filename} (not found)`);
-            processedImages++;
-            skipped += bboxes.length;
-            continue;
+            progressCallback(++startedImages, totalImages, `Skipping ${filename} (not found)`);
+            return { filename, bboxes, missing: true };
         }
-        
-        progressCallback(processedImages + 1, totalImages, `Processing ${filename}`);
-        
+
+        progressCallback(++startedImages, totalImages, `Processing ${filename}`);
+        let worker = idleWorkers.pop();
         try {
-            const { canvas, width, height } = await loadImageToCanvas(imageFile);
-            
-            for (let index = 0; index < bboxes.length; index++) {
-                const bbox = bboxes[index];
-                const score = bbox.score || 1.0;
-                
-                // Skip low confidence detections if score is provided
-                if (score < 0.5) {
-                    skipped++;
-                    continue;
-                }
-                
-                try {
-                    // Determine bbox format and prepare coordinates
-                    let bboxCoords;
-                    if ('x1' in bbox && 'y1' in bbox && 'x2' in bbox && 'y2' in bbox && 
-                        'x3' in bbox && 'y3' in bbox && 'x4' in bbox && 'y4' in bbox) {
-                        // Quad box format
-                        bboxCoords = {
-                            x1: bbox.x1,
-                            y1: bbox.y1,
-                            x2: bbox.x2,
-                            y2: bbox.y2,
-                            x3: bbox.x3,
-                            y3: bbox.y3,
-                            x4: bbox.x4,
-                            y4: bbox.y4
-                        };
-                    } else if ('xmin' in bbox && 'ymin' in bbox && 'xmax' in bbox && 'ymax' in bbox) {
-                        // Regular bbox format
-                        bboxCoords = {
-                            xmin: bbox.xmin,
-                            ymin: bbox.ymin,
-                            xmax: bbox.xmax,
-                            ymax: bbox.ymax
-                        };
-                    } else {
-                        console.warn(`Unknown bbox format for ${filename} index ${index}:`, bbox);
-                        skipped++;
-                        continue;
-                    }
-                    
-                    const blob = await cropRegion(canvas, bboxCoords, width, height);
-                    
-                    const baseFilename = filename.split('.')[0];
-                    // Use ID from CSV if available, otherwise use index
-                    const imageId = bbox.id !== undefined ? bbox.id : index;
-                    const croppedFilename = `${baseFilename}_${imageId}.jpg`;
-                    
-                    // Get or create image subdirectory
-                    if (!imageDirHandles[baseFilename]) {
-                        imageDirHandles[baseFilename] = await outputDirHandle.getDirectoryHandle(baseFilename, { create: true });
-                    }
-                    
-                    // Save immediately
-                    const fileHandle = await imageDirHandles[baseFilename].getFileHandle(croppedFilename, { create: true });
-                    const writable = await fileHandle.createWritable();
-                    await writable.write(blob);
-                    await writable.close();
-                    
-                    saved++;
-                } catch (error) {
-                    console.error(`Error cropping bbox ${index} from ${filename}:`, error);
-                    failed++;
-                }
-            }
+            const { crops, error } = await runCropWorker(worker, { id: nextRequestId++, file: imageFile, detections: bboxes, options: crop });
+            return error ? { filename, bboxes, error: new Error(error) } : { filename, bboxes, crops };
         } catch (error) {
+            // A failed worker may never answer again: replace it
+            worker.terminate();
+            workers.splice(workers.indexOf(worker), 1, worker = createCropWorker());
+            return { filename, bboxes, error };
+        } finally {
+            idleWorkers.push(worker);
+        }
+    };
+
+    const saveCrops = async ({ filename, bboxes, missing, crops, error }) => {
+        if (missing) {
+            skipped += bboxes.length;
+            return;
+        }
+        if (error) {
             console.error(`Error processing ${filename}:`, error);
             failed += bboxes.length;
+            return;
         }
-        
-        processedImages++;
-    }
-    
-    return { saved, failed, skipped };
-}
 
-/**
- * Save cropped images to directory structure organized by label
- * @deprecated Use cropAndSaveImagesStreaming instead for better memory efficiency
- * @param {Array} croppedImages - Array of cropped images from cropImagesFromCSV
- * @param {FileSystemDirectoryHandle} outputDirHandle - Output directory handle
- * @returns {Promise<{saved: number, failed: number}>}
- */
-export async function saveCroppedImages(croppedImages, outputDirHandle) {
-    let saved = 0;
-    let failed = 0;
-    
-    // Group by label
-    const groupedByLabel = {};
-    croppedImages.forEach(item => {
-        if (!groupedByLabel[item.label]) {
-            groupedByLabel[item.label] = [];
-        }
-        groupedByLabel[item.label].push(item);
-    });
-    
-    // Save each group in its own folder
-    for (const [label, items] of Object.entries(groupedByLabel)) {
-        try {
-            // Create subdirectory for label
-            const labelDirHandle = await outputDirHandle.getDirectoryHandle(label, { create: true });
-            
-            // Save each cropped image
-            for (const item of items) {
-                try {
-                    const fileHandle = await labelDirHandle.getFileHandle(item.filename, { create: true });
-                    const writable = await fileHandle.createWritable();
-                    await writable.write(item.blob);
-                    await writable.close();
-                    saved++;
-                } catch (error) {
-                    console.error(`Failed to save ${item.filename}:`, error);
-                    failed++;
+        for (const [i, result] of crops.entries()) {
+            const bbox = bboxes[i];
+            const index = indexInImage.get(bbox);
+            if (result.skipped) {
+                if (result.skipped !== 'too small') {
+                    console.warn(`Skipping ${filename} index ${index} (${result.skipped}):`, bbox);
                 }
+                skipped++;
+                continue;
             }
-        } catch (error) {
-            console.error(`Failed to create directory for label ${label}:`, error);
-            failed += items.length;
+            if (result.error) {
+                console.error(`Error cropping bbox ${index} from ${filename}:`, result.error);
+                failed++;
+                continue;
+            }
+
+            try {
+                const { folders, filename: cropFilename } = renderCropPath(template, cropPlaceholders(bbox, index), extension);
+                const croppedFilename = uniqueFilename(usedPaths, folders.join('/'), cropFilename);
+                const dirHandle = await getSubdirectory(dirHandles, folders);
+
+                // Save immediately
+                const fileHandle = await dirHandle.getFileHandle(croppedFilename, { create: true });
+                const writable = await fileHandle.createWritable();
+                await writable.write(result.blob);
+                await writable.close();
+
+                saved++;
+            } catch (error) {
+                console.error(`Error saving bbox ${index} from ${filename}:`, error);
+                failed++;
+            }
+        }
+    };
+
+    // Decoding and encoding run in workers; crops are saved here in image order, so
+    // names never depend on which worker finishes first. At most one image per
+    // worker is in flight, which also bounds the crops held in memory
+    const workerCount = Math.max(1, Math.min(Math.floor(crop.concurrency) || 1, totalImages));
+    const workers = Array.from({ length: workerCount }, createCropWorker);
+    const idleWorkers = [...workers];
+    let nextRequestId = 0;
+
+    try {
+        const pending = [];
+        for (const [filename, bboxes] of images) {
+            if (pending.length >= workerCount) {
+                await saveCrops(await pending.shift());
+            }
+            pending.push(cropImage(filename, bboxes));
+        }
+        while (pending.length > 0) {
+            await saveCrops(await pending.shift());
         }
+    } finally {
+        workers.forEach(worker => worker.terminate());
     }
-    
-    return { saved, failed };
+
+    return { saved, failed, skipped };
 }
@@ -0,0 +1,77 @@
+/**
+ * Florence-2 checkpoints and inference settings that can be selected in the UI
+ */
+
+export const MODELS = [
+    {
+        id: 'onnx-community/Florence-2-base',
+        name: 'Florence-2-base',
+        params: '230 million',
+        size: '340 MB'
+    },
+    {
+        id: 'onnx-community/Florence-2-base-ft',
+        name: 'Florence-2-base-ft',
+        params: '230 million',
+        size: '340 MB'
+    },
+    {
+        id: 'onnx-community/Florence-2-large',
+        name: 'Florence-2-large',
+        params: '770 million'
+    },
+    {
+        id: 'onnx-community/Florence-2-large-ft',
+        name: 'Florence-2-large-ft',
+        params: '770 million'
+    },
+];
+
+export const DEFAULT_MODEL = { model_id: 'onnx-community/Florence-2-base-ft', local: false };
+
+// Florence-2 ONNX exports are split into these submodels, each with its own precision
+export const SUBMODELS = [
+    { key: 'embed_tokens', name: 'Token embeddings' },
+    { key: 'vision_encoder', name: 'Vision encoder' },
+    { key: 'encoder_model', name: 'Encoder' },
+    { key: 'decoder_model_merged', name: 'Decoder' },
+];
+
+// Execution backends; 'auto' uses WebGPU when the browser offers a GPU adapter and
+// falls back to WASM on the CPU otherwise, or when the model fails to load on the GPU
+export const DEVICES = [
+    { value: 'auto', name: 'Automatic' },
+    { value: 'webgpu', name: 'WebGPU' },
+    { value: 'wasm', name: 'WASM (CPU)' },
+];
+
+export const DEFAULT_DEVICE = 'auto';
+
+// 'auto' uses fp16 on a WebGPU device that supports it and fp32 otherwise
+export const DTYPES = ['auto', 'fp32', 'fp16', 'q8', 'q4'];
+
+export const DEFAULT_DTYPE = {
+    embed_tokens: 'auto',
+    vision_encoder: 'auto',
+    encoder_model: 'q4',
+    decoder_model_merged: 'q4',
+};
+
+export const DEFAULT_GENERATION = {
+    max_new_tokens: 128,
+    num_beams: 1,
+    repetition_penalty: 1.0,
+};
+
+// Images per `generate` call in batch mode; larger batches need more GPU memory
+export const DEFAULT_BATCH_SIZE = 1;
+export const MAX_BATCH_SIZE = 16;
+
+/**
+ * Find the preset for a model id
+ * @param {string} model_id
+ * @returns {Object|undefined}
+ */
+export function findModel(model_id) {
+    return MODELS.find(model => model.id === model_id);
+}
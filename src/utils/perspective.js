@@ -0,0 +1,140 @@
+/**
+ * Perspective transforms for straightening quad boxes
+ */
+
+/**
+ * Solve a linear system with Gaussian elimination and partial pivoting
+ * @param {number[][]} A - Square matrix, modified in place
+ * @param {number[]} b - Right-hand side, modified in place
+ * @returns {number[]}
+ */
+function solve(A, b) {
+    const n = b.length;
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) pivot = row;
+        }
+        if (Math.abs(A[pivot][col]) < 1e-10) {
+            throw new Error('Degenerate quad: its corners are collinear');
+        }
+        [A[col], A[pivot]] = [A[pivot], A[col]];
+        [b[col], b[pivot]] = [b[pivot], b[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = A[row][col] / A[col][col];
+            for (let k = col; k < n; k++) A[row][k] -= factor * A[col][k];
+            b[row] -= factor * b[col];
+        }
+    }
+
+    const x = new Array(n);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = b[row];
+        for (let k = row + 1; k < n; k++) sum -= A[row][k] * x[k];
+        x[row] = sum / A[row][row];
+    }
+    return x;
+}
+
+/**
+ * Homography mapping four points onto four others
+ * @param {Array<[number, number]>} from - Source points
+ * @param {Array<[number, number]>} to - Destination points, in the same order
+ * @returns {number[]} Row-major 3x3 matrix
+ */
+export function homography(from, to) {
+    const A = [];
+    const b = [];
+    for (let i = 0; i < 4; i++) {
+        const [x, y] = from[i];
+        const [X, Y] = to[i];
+        A.push([x, y, 1, 0, 0, 0, -x * X, -y * X]);
+        b.push(X);
+        A.push([0, 0, 0, x, y, 1, -x * Y, -y * Y]);
+        b.push(Y);
+    }
+    return [...solve(A, b), 1];
+}
+
+/**
+ * Product of two row-major 3x3 matrices
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number[]}
+ */
+export function multiply(a, b) {
+    const m = new Array(9);
+    for (let row = 0; row < 3; row++) {
+        for (let col = 0; col < 3; col++) {
+            m[row * 3 + col] = a[row * 3] * b[col] + a[row * 3 + 1] * b[3 + col] + a[row * 3 + 2] * b[6 + col];
+        }
+    }
+    return m;
+}
+
+/**
+ * Apply a homography to a point
+ * @param {number[]} m - Row-major 3x3 matrix
+ * @param {[number, number]} point
+ * @returns {[number, number]}
+ */
+export function applyHomography(m, [x, y]) {
+    const w = m[6] * x + m[7] * y + m[8];
+    return [(m[0] * x + m[1] * y + m[2]) / w, (m[3] * x + m[4] * y + m[5]) / w];
+}
+
+/**
+ * Size of the upright rectangle a quad is straightened into
+ * @param {Array<[number, number]>} points - Corners clockwise from the top left
+ * @returns {{width: number, height: number}}
+ */
+export function rectifiedSize([p1, p2, p3, p4]) {
+    const distance = ([ax, ay], [bx, by]) => Math.hypot(bx - ax, by - ay);
+    return {
+        width: Math.max(1, Math.round(Math.max(distance(p1, p2), distance(p4, p3)))),
+        height: Math.max(1, Math.round(Math.max(distance(p1, p4), distance(p2, p3)))),
+    };
+}
+
+/**
+ * Warp pixels into a new image with bilinear sampling
+ * @param {{data: Uint8ClampedArray, width: number, height: number, left: number, top: number}} source -
+ *   RGBA pixels of the region of the image at (left, top)
+ * @param {number[]} matrix - Homography from output pixel coordinates to image coordinates
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @param {number[]} [background] - RGBA used outside the source region
+ * @returns {Uint8ClampedArray} RGBA pixels of the output
+ */
+export function warpPerspective(source, matrix, width, height, background = [0, 0, 0, 0]) {
+    const output = new Uint8ClampedArray(width * height * 4);
+    const { data, width: sourceWidth, height: sourceHeight, left, top } = source;
+
+    const pixel = (x, y, channel) => (x >= 0 && y >= 0 && x < sourceWidth && y < sourceHeight)
+        ? data[(y * sourceWidth + x) * 4 + channel]
+        : background[channel];
+
+    for (let j = 0; j < height; j++) {
+        for (let i = 0; i < width; i++) {
+            // Sample at pixel centers
+            const [x, y] = applyHomography(matrix, [i + 0.5, j + 0.5]);
+            const sx = x - left - 0.5;
+            const sy = y - top - 0.5;
+            const x0 = Math.floor(sx);
+            const y0 = Math.floor(sy);
+            const fx = sx - x0;
+            const fy = sy - y0;
+
+            const offset = (j * width + i) * 4;
+            for (let channel = 0; channel < 4; channel++) {
+                output[offset + channel] =
+                    pixel(x0, y0, channel) * (1 - fx) * (1 - fy) +
+                    pixel(x0 + 1, y0, channel) * fx * (1 - fy) +
+                    pixel(x0, y0 + 1, channel) * (1 - fx) * fy +
+                    pixel(x0 + 1, y0 + 1, channel) * fx * fy;
+            }
+        }
+    }
+    return output;
+}
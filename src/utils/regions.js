@@ -0,0 +1,85 @@
+/**
+ * Helpers for turning Florence-2 task results into drawable regions
+ */
+
+/**
+ * Convert a post-processed task result into a flat list of regions
+ * @param {Object|string} taskResult - Result of `post_process_generation` for one task
+ * @returns {Array<{kind: string, label: string, points: Array<[number, number]>, bbox: number[], polygon?: number[]}>}
+ *   Each region is a 'box', 'quad' or 'polygon' with its outline as points and its axis-aligned
+ *   bounding box [xmin, ymin, xmax, ymax]; polygons also keep their flat coordinates
+ */
+export function getRegions(taskResult) {
+    if (!taskResult || typeof taskResult !== 'object') return [];
+
+    const regions = [];
+    const labels = taskResult.labels ?? [];
+
+    if (taskResult.bboxes) {
+        // Open-vocabulary detection labels boxes and polygons separately
+        const bboxLabels = taskResult.bboxes_labels ?? labels;
+        taskResult.bboxes.forEach(([xmin, ymin, xmax, ymax], i) => {
+            regions.push({
+                kind: 'box',
+                label: bboxLabels[i] ?? '',
+                points: [[xmin, ymin], [xmax, ymin], [xmax, ymax], [xmin, ymax]],
+                bbox: [xmin, ymin, xmax, ymax]
+            });
+        });
+    }
+
+    if (taskResult.quad_boxes) {
+        taskResult.quad_boxes.forEach((quad, i) => {
+            const points = [];
+            for (let j = 0; j < quad.length; j += 2) {
+                points.push([quad[j], quad[j + 1]]);
+            }
+            regions.push({ kind: 'quad', label: labels[i] ?? '', points, bbox: boundingBox(points) });
+        });
+    }
+
+    if (taskResult.polygons) {
+        // Each instance may consist of several polygons
+        const polygonLabels = taskResult.polygons_labels ?? labels;
+        taskResult.polygons.forEach((instance, i) => {
+            instance.forEach(polygon => {
+                const points = [];
+                for (let j = 0; j + 1 < polygon.length; j += 2) {
+                    points.push([polygon[j], polygon[j + 1]]);
+                }
+                regions.push({ kind: 'polygon', label: polygonLabels[i] ?? '', points, bbox: boundingBox(points), polygon });
+            });
+        });
+    }
+
+    return regions;
+}
+
+/**
+ * Axis-aligned bounding box of a list of points
+ * @param {Array<[number, number]>} points
+ * @returns {number[]} [xmin, ymin, xmax, ymax]
+ */
+export function boundingBox(points) {
+    const xs = points.map(p => p[0]);
+    const ys = points.map(p => p[1]);
+    return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+/**
+ * Check whether a point lies inside a polygon (ray casting)
+ * @param {[number, number]} point
+ * @param {Array<[number, number]>} polygon
+ * @returns {boolean}
+ */
+export function pointInPolygon([x, y], polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [xi, yi] = polygon[i];
+        const [xj, yj] = polygon[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
@@ -2,25 +2,411 @@
  * Streaming file writer utilities for batch processing
  */
 
+import { parseJSONLines } from './imageCropping';
+import { readCSVRecords } from './csv';
+import { taskColumn, TASKS_WITH_INPUTS, TASKS_WITH_BOXES, TASKS_WITH_QUADS, TASKS_WITH_POLYGONS } from './tasks';
+import { getRegions } from './regions';
+import { scanDirectory } from './folderScan';
+import { downloadBlob, isFileSystemAccessSupported } from './fileSystemAccess';
+import { ZipArchive, ZipFileHandle } from './zipArchive';
+import packageInfo from '../../package.json';
+
+// Writes go to a swap file until the writable is closed, so the output is
+// committed now and then to keep it on disk if the tab crashes. Reopening copies
+// the whole file so far into a new swap file, so commits are spaced by time, and
+// further apart once the copy of a large output takes a while
+const CHECKPOINT_INTERVAL_MS = 30000;
+// Largest share of the run spent reopening the output
+const CHECKPOINT_MAX_SHARE = 0.1;
+
+// Closes the results array of a finalized JSON output, before its summary
+const JSON_RESULTS_END = '\n  ],\n  "summary"';
+
+// Sidecar holding the run manifest and summary for CSV and folder outputs
+const RUN_FILE = 'run.json';
+
+// Name of the CSV output inside its folder
+const CSV_FILE = 'results.csv';
+
+/**
+ * Parse the contents of a (possibly unterminated) JSON results file
+ * Outputs are `{ run, results, summary }`; outputs written before run manifests
+ * were a bare array of results
+ * @param {string} content - File content
+ * @returns {{entries: Array<Object>, run?: Object, summary?: Object, legacy: boolean, end: number}}
+ *   `end` is the offset right after the last result, where new results continue the array
+ */
+function parseJSONResults(content) {
+    const trimmed = content.trimEnd();
+    if (!trimmed.trim()) return { entries: [], legacy: false, end: 0 };
+    const legacy = trimmed.trimStart().startsWith('[');
+
+    try {
+        const data = JSON.parse(trimmed);
+        if (legacy) {
+            return { entries: data, legacy, end: content.slice(0, trimmed.lastIndexOf(']')).trimEnd().length };
+        }
+        const end = trimmed.lastIndexOf(JSON_RESULTS_END);
+        return { entries: data.results ?? [], run: data.run, summary: data.summary, legacy, end: content.slice(0, end).trimEnd().length };
+    } catch {
+        // Interrupted runs stop after a complete entry, before the results array is closed
+        const head = trimmed.replace(/,$/, '');
+        const data = JSON.parse(head + (legacy ? '\n]' : '\n  ]\n}'));
+        return legacy
+            ? { entries: data, legacy, end: head.length }
+            : { entries: data.results, run: data.run, legacy, end: head.length };
+    }
+}
+
+/**
+ * Settings that produced the results, recorded alongside them
+ * @param {Object} options - Writer options
+ * @returns {{model: string|null, dtype: Object|null, device: string|null, generation: Object|null}}
+ */
+function runMetadata({ model_id = null, dtype = null, device = null, generation = null } = {}) {
+    return { model: model_id, dtype, device, generation };
+}
+
+/**
+ * Describe the run that produced an output so it can be reproduced and audited later
+ * @param {string[]} tasks - Tasks of the run
+ * @param {Object} options - Writer options
+ * @returns {Object}
+ */
+function runManifest(tasks, options = {}) {
+    return {
+        app: { name: packageInfo.name, version: packageInfo.version },
+        started_at: new Date().toISOString(),
+        tasks,
+        ...runMetadata(options),
+        region_task: options.region_task ?? null,
+        tiling: options.tiling ?? null,
+        batch_size: options.batch_size ?? 1,
+        fp16: options.fp16 ?? null,
+        user_agent: globalThis.navigator?.userAgent ?? null
+    };
+}
+
+/**
+ * Columns of a CSV output, fixed before the first row is written so that a
+ * failed or empty first image does not drop the columns of later rows
+ * @param {string[]} tasks - Tasks of the run
+ * @param {Object} options - Writer options
+ * @returns {string[]}
+ */
+function csvColumns(tasks, options = {}) {
+    let columns;
+    if (tasks.length > 1) {
+        columns = ['id', 'filename', ...tasks.map(taskColumn)];
+    } else if (TASKS_WITH_BOXES.includes(tasks[0])) {
+        // Boxes come flattened from the worker, named by `image`
+        columns = ['id', 'label', 'xmin', 'ymin', 'xmax', 'ymax', 'image', ...(options.region_task ? ['description'] : [])];
+    } else if (TASKS_WITH_QUADS.includes(tasks[0])) {
+        columns = ['id', 'filename', 'label', 'x1', 'y1', 'x2', 'y2', 'x3', 'y3', 'x4', 'y4'];
+    } else if (TASKS_WITH_POLYGONS.includes(tasks[0])) {
+        columns = ['id', 'filename', 'label', 'xmin', 'ymin', 'xmax', 'ymax', 'polygon'];
+    } else {
+        columns = ['id', 'filename', 'result'];
+    }
+    return [...columns, 'error', ...(tasks.some(task => TASKS_WITH_INPUTS.includes(task)) ? ['input'] : []), 'model'];
+}
+
+/**
+ * Commit a writer's output to disk once enough time has passed since the last commit
+ * @param {Object} writer - Writer with `fileHandle`, `writable` and `lastCheckpoint`
+ */
+async function checkpoint(writer) {
+    // ZIP entries are packed as they are written and only saved with the download
+    if (writer.fileHandle instanceof ZipFileHandle) return;
+
+    const start = performance.now();
+    writer.lastCheckpoint ??= { at: start, duration: 0 };
+    const wait = Math.max(CHECKPOINT_INTERVAL_MS, writer.lastCheckpoint.duration / CHECKPOINT_MAX_SHARE);
+    if (start - writer.lastCheckpoint.at < wait) return;
+
+    await writer.writable.close();
+    const file = await writer.fileHandle.getFile();
+    writer.writable = await writer.fileHandle.createWritable({ keepExistingData: true });
+    await writer.writable.seek(file.size);
+    const end = performance.now();
+    writer.lastCheckpoint = { at: end, duration: end - start };
+}
+
+/**
+ * Count a written result towards the run summary
+ * @param {Object} writer - Writer with `processed`, `failed` and `completed`
+ * @param {Object} item - Batch result from the worker
+ */
+function trackResult(writer, item) {
+    writer.processed++;
+    if (item.error) {
+        writer.failed++;
+    } else {
+        writer.completed.add(item.filename);
+    }
+}
+
+/**
+ * Summary of a run, written when the output is finalized
+ * @param {Object} writer - Writer with `manifest`, `processed`, `failed` and `completed`
+ * @param {Object} [options]
+ * @param {boolean} [options.cancelled] - Whether the batch was cancelled before the end
+ * @returns {Object} `processed` and `failed` count this run; `completed` counts every
+ *   successful image in the output, including those of resumed runs
+ */
+function runSummary(writer, { cancelled = false } = {}) {
+    return {
+        started_at: writer.manifest.started_at,
+        finished_at: new Date().toISOString(),
+        processed: writer.processed,
+        failed: writer.failed,
+        completed: writer.completed.size,
+        cancelled
+    };
+}
+
+/**
+ * Build the record stored for one image
+ * A single task keeps the `task`/`result` layout; several tasks are grouped under `results`.
+ * The text input of tasks such as phrase grounding is kept as `input`
+ * @param {Object} item - Batch result from the worker
+ * @param {string[]} tasks - Tasks of the run
+ * @param {string|null} model - Model id, kept on each record so merged outputs still tell models apart;
+ *   the other run settings are only recorded in the run manifest
+ * @returns {Object}
+ */
+function buildResultObject(item, tasks, model) {
+    const taskResult = task => item.rawResults?.[task] ?? item.results?.[task];
+    return {
+        filename: item.filename,
+        ...(item.input !== undefined && { input: item.input }),
+        ...(tasks.length === 1
+            ? { task: tasks[0], model, result: taskResult(tasks[0]) }
+            : { tasks, model, results: Object.fromEntries(tasks.map(task => [task, taskResult(task)])) }),
+        time: item.time,
+        ...(item.error && { error: item.error })
+    };
+}
+
+/**
+ * Round to two decimals for compact coordinates
+ * @param {number} value
+ * @returns {number}
+ */
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Area of a polygon (shoelace formula)
+ * @param {Array<[number, number]>} points
+ * @returns {number}
+ */
+function polygonArea(points) {
+    let area = 0;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        area += (points[j][0] + points[i][0]) * (points[j][1] - points[i][1]);
+    }
+    return Math.abs(area / 2);
+}
+
+/**
+ * Filename without its extension, keeping any folders of a relative path
+ * @param {string} filename
+ * @returns {string}
+ */
+function baseName(filename) {
+    const dot = filename.lastIndexOf('.');
+    return dot > filename.lastIndexOf('/') + 1 ? filename.slice(0, dot) : filename;
+}
+
+/**
+ * Escape text for XML content
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXML(text) {
+    return String(text).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c]);
+}
+
+/**
+ * Write a whole file into a directory
+ * @param {FileSystemDirectoryHandle} dirHandle
+ * @param {string} name - File name, or a relative path whose folders are created as needed
+ * @param {string} content
+ */
+async function writeTextFile(dirHandle, name, content) {
+    const folders = name.split('/');
+    const filename = folders.pop();
+    for (const folder of folders) {
+        dirHandle = await dirHandle.getDirectoryHandle(folder, { create: true });
+    }
+    const fileHandle = await dirHandle.getFileHandle(filename, { create: true });
+    const writable = await fileHandle.createWritable();
+    await writable.write(content);
+    await writable.close();
+}
+
+/**
+ * Read the run sidecar of an output folder
+ * @param {FileSystemDirectoryHandle} dirHandle
+ * @returns {Promise<Object|null>} Parsed contents, or null when missing or unreadable
+ */
+async function readRunFile(dirHandle) {
+    try {
+        const fileHandle = await dirHandle.getFileHandle(RUN_FILE);
+        return JSON.parse(await (await fileHandle.getFile()).text());
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Runs recorded in an output, oldest first, each manifest next to its summary
+ * Outputs written before run histories listed only the manifests of the later
+ * runs under `resumed_runs`, with the summary of the last run
+ * @param {Object} recorded - `runs`, or `run`, `resumed_runs` and `summary`, as found in the output
+ * @returns {Array<{run: Object, summary: Object|null}>} Runs that were never finalized have no summary
+ */
+function recordedRuns({ run, runs, resumed_runs = [], summary = null }) {
+    if (runs) return runs;
+    if (!run) return [];
+    const manifests = [run, ...resumed_runs];
+    return manifests.map((manifest, i) => ({ run: manifest, summary: i === manifests.length - 1 ? summary : null }));
+}
+
+/**
+ * Whether two lists hold the same values in the same order
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {boolean}
+ */
+function sameList(a, b) {
+    return a.length === b.length && a.every((task, i) => task === b[i]);
+}
+
+/**
+ * Whether a record of a resumed output was written for the tasks of this run
+ * Records from before task fields are taken to match
+ * @param {Object} entry - Record from `buildResultObject`
+ * @param {string[]} tasks - Tasks of this run
+ * @returns {boolean}
+ */
+function recordMatchesTasks(entry, tasks) {
+    const recorded = entry.tasks ?? (entry.task !== undefined ? [entry.task] : null);
+    return !recorded || sameList(recorded, tasks);
+}
+
+/**
+ * Tasks of a run, as named in errors
+ * @param {Object} manifest - Run manifest
+ * @returns {string}
+ */
+function describeTasks({ tasks = [], region_task = null }) {
+    return tasks.join(', ') + (region_task ? ` with ${region_task} on each box` : '');
+}
+
+/**
+ * Refuse to resume an output whose last run had other tasks or another second-pass
+ * task, since its records or columns would not line up with the new ones
+ * @param {Object|undefined} previous - Manifest of the last run recorded in the output
+ * @param {Object} manifest - Manifest of this run
+ */
+function checkResumedRun(previous, manifest) {
+    if (!previous?.tasks) return;
+    if (!sameList(previous.tasks, manifest.tasks) || (previous.region_task ?? null) !== manifest.region_task) {
+        throw new Error(`Cannot resume: the output was written for ${describeTasks(previous)}, not ${describeTasks(manifest)}. Run the same tasks or start a new output`);
+    }
+}
+
+/**
+ * Write the run sidecar of an output folder
+ * A resumed output keeps its original manifest as `run` and lists every run with
+ * its summary under `runs`
+ * @param {FileSystemDirectoryHandle} dirHandle
+ * @param {Object} writer - Writer with `manifest` and `previousRun` (sidecar found when resuming)
+ * @param {Object} [summary] - Run summary, once finalized
+ */
+async function writeRunFile(dirHandle, writer, summary) {
+    const { previousRun, manifest } = writer;
+    const previousRuns = previousRun ? recordedRuns(previousRun) : [];
+    const content = previousRuns.length > 0
+        ? { run: previousRuns[0].run, runs: [...previousRuns, { run: manifest, summary: summary ?? null }] }
+        : { run: manifest };
+    await writeTextFile(dirHandle, RUN_FILE, JSON.stringify({ ...content, ...(summary && { summary }) }, null, 2) + '\n');
+}
+
+/**
+ * Byte length of a string once encoded as UTF-8
+ * @param {string} text
+ * @returns {number}
+ */
+function byteLength(text) {
+    return new TextEncoder().encode(text).length;
+}
+
 /**
  * Create a streaming JSON writer for batch results
- * Opens a file and writes results one by one
+ * Opens a file and writes results one by one between the run manifest and
+ * the summary written when the run is finalized
  */
 export class StreamingJSONWriter {
     constructor(fileHandle) {
         this.fileHandle = fileHandle;
         this.writable = null;
         this.isFirst = true;
+        this.legacy = false; // Resumed output without run manifest
+        this.previousRuns = null; // Earlier runs of a resumed output, with their summaries
         this.pendingWrites = []; // Track pending write promises
+        this.completed = new Set(); // Filenames already present in a resumed output
+        this.lastCheckpoint = null;
+        this.processed = 0;
+        this.failed = 0;
     }
 
-    async initialize(task) {
-        this.writable = await this.fileHandle.createWritable();
-        // Write opening bracket
-        await this.writable.write('[\n');
-        this.task = task;
+    async initialize(tasks, options = {}) {
+        const { resume = false } = options;
+        this.tasks = [].concat(tasks);
+        this.model = options.model_id ?? null;
+        this.manifest = runManifest(this.tasks, options);
         this.isFirst = true;
+        this.legacy = false;
+        this.previousRuns = null;
         this.pendingWrites = [];
+        this.completed = new Set();
+        this.lastCheckpoint = null;
+        this.processed = 0;
+        this.failed = 0;
+
+        if (resume) {
+            const file = await this.fileHandle.getFile();
+            const content = await file.text();
+            const { entries, run, summary, legacy, end } = parseJSONResults(content);
+
+            if (end > 0) {
+                const { runs, resumed_runs, ...lastSummary } = summary ?? {};
+                this.previousRuns = recordedRuns({ run, runs, resumed_runs, summary: summary ? lastSummary : null });
+                checkResumedRun(this.previousRuns.at(-1)?.run, this.manifest);
+                entries.forEach(entry => {
+                    // Failed images are retried
+                    if (entry.filename && !entry.error && recordMatchesTasks(entry, this.tasks)) {
+                        this.completed.add(entry.filename);
+                    }
+                });
+                this.legacy = legacy;
+
+                // Cut the end of the results array so new results continue it
+                const size = byteLength(content.slice(0, end));
+                this.writable = await this.fileHandle.createWritable({ keepExistingData: true });
+                await this.writable.truncate(size);
+                await this.writable.seek(size);
+                this.isFirst = entries.length === 0;
+                return;
+            }
+        }
+
+        this.writable = await this.fileHandle.createWritable();
+        await this.writable.write(`{\n  "run": ${JSON.stringify(this.manifest, null, 2).replace(/\n/g, '\n  ')},\n  "results": [\n`);
     }
 
     async writeResult(item) {
@@ -31,22 +417,101 @@ export class StreamingJSONWriter {
         }
         this.isFirst = false;
 
-        const resultObject = {
-            filename: item.filename,
-            task: this.task,
-            result: item.rawResult || item.result,
-            time: item.time,
-            ...(item.error && { error: item.error })
-        };
+        const resultObject = buildResultObject(item, this.tasks, this.model);
+
+        await this.writable.write('    ' + JSON.stringify(resultObject, null, 2).replace(/\n/g, '\n    '));
+        trackResult(this, item);
+        await checkpoint(this);
+    }
+
+    async finalize(options = {}) {
+        if (!this.writable) return;
+        // Wait for all pending writes to complete
+        await Promise.all(this.pendingWrites);
+
+        if (this.legacy) {
+            await this.writable.write('\n]\n');
+        } else {
+            // The manifest at the top belongs to the first run; a resumed output lists
+            // every run with its summary in the summary
+            const latest = runSummary(this, options);
+            const summary = this.previousRuns?.length > 0
+                ? { ...latest, runs: [...this.previousRuns, { run: this.manifest, summary: latest }] }
+                : latest;
+            await this.writable.write(`\n  ],\n  "summary": ${JSON.stringify(summary, null, 2).replace(/\n/g, '\n  ')}\n}\n`);
+        }
+        await this.writable.close();
+        this.writable = null;
+    }
+}
+
+/**
+ * Create a streaming JSON Lines writer for batch results
+ * Every result is one self-contained line, so partial files stay readable
+ * and outputs can be appended to or concatenated. Each run starts with a
+ * `{"run": ...}` manifest line and ends with a `{"summary": ...}` line
+ */
+export class StreamingJSONLWriter {
+    constructor(fileHandle) {
+        this.fileHandle = fileHandle;
+        this.writable = null;
+        this.pendingWrites = []; // Track pending write promises
+        this.completed = new Set(); // Filenames already present in a resumed output
+        this.lastCheckpoint = null;
+        this.processed = 0;
+        this.failed = 0;
+    }
+
+    async initialize(tasks, options = {}) {
+        const { resume = false } = options;
+        this.tasks = [].concat(tasks);
+        this.model = options.model_id ?? null;
+        this.manifest = runManifest(this.tasks, options);
+        this.pendingWrites = [];
+        this.completed = new Set();
+        this.lastCheckpoint = null;
+        this.processed = 0;
+        this.failed = 0;
 
-        await this.writable.write('  ' + JSON.stringify(resultObject, null, 2).replace(/\n/g, '\n  '));
+        if (resume) {
+            const file = await this.fileHandle.getFile();
+            const content = await file.text();
+            // Drop a line cut off by a crash
+            const keep = content.slice(0, content.lastIndexOf('\n') + 1);
+            const entries = parseJSONLines(keep);
+            checkResumedRun(entries.findLast(entry => entry.run)?.run, this.manifest);
+            entries.forEach(entry => {
+                // Failed images are retried
+                if (entry.filename && !entry.error && recordMatchesTasks(entry, this.tasks)) {
+                    this.completed.add(entry.filename);
+                }
+            });
+
+            const size = file.size - byteLength(content.slice(keep.length));
+            this.writable = await this.fileHandle.createWritable({ keepExistingData: true });
+            await this.writable.truncate(size);
+            await this.writable.seek(size);
+        } else {
+            this.writable = await this.fileHandle.createWritable();
+        }
+
+        await this.writable.write(JSON.stringify({ run: this.manifest }) + '\n');
+    }
+
+    async writeResult(item) {
+        if (!this.writable) throw new Error('Writer not initialized');
+
+        const resultObject = buildResultObject(item, this.tasks, this.model);
+        await this.writable.write(JSON.stringify(resultObject) + '\n');
+        trackResult(this, item);
+        await checkpoint(this);
     }
 
-    async finalize() {
+    async finalize(options = {}) {
         if (!this.writable) return;
         // Wait for all pending writes to complete
         await Promise.all(this.pendingWrites);
-        await this.writable.write('\n]\n');
+        await this.writable.write(JSON.stringify({ summary: runSummary(this, options) }) + '\n');
         await this.writable.close();
         this.writable = null;
     }
@@ -54,32 +519,124 @@ export class StreamingJSONWriter {
 
 /**
  * Create a streaming CSV writer for batch results
+ * The run manifest and summary go to a `run.json` sidecar when the CSV is
+ * written into a folder
  */
 export class StreamingCSVWriter {
-    constructor(fileHandle) {
+    constructor(fileHandle, dirHandle = null) {
         this.fileHandle = fileHandle;
+        this.dirHandle = dirHandle;
         this.writable = null;
         this.headers = null;
         this.rowId = 0; // Track unique ID for each row
         this.pendingWrites = []; // Track pending write promises
+        this.completed = new Set(); // Filenames already present in a resumed output
+        this.lastCheckpoint = null;
+        this.processed = 0;
+        this.failed = 0;
     }
 
-    async initialize() {
-        this.writable = await this.fileHandle.createWritable();
+    async initialize(tasks, options = {}) {
+        const { resume = false } = options;
+        this.tasks = [].concat(tasks);
+        this.model = options.model_id ?? null;
+        this.manifest = runManifest(this.tasks, options);
+        this.columns = csvColumns(this.tasks, options);
         this.headers = null;
         this.rowId = 0;
         this.pendingWrites = [];
-    }
+        this.completed = new Set();
+        this.lastCheckpoint = null;
+        this.processed = 0;
+        this.failed = 0;
 
-    async writeResult(item) {
-        if (!this.writable) throw new Error('Writer not initialized');
+        this.previousRun = this.dirHandle && resume ? await readRunFile(this.dirHandle) : null;
+        checkResumedRun(this.previousRun && recordedRuns(this.previousRun).at(-1)?.run, this.manifest);
+
+        let file = null;
+        let headers = null;
+        if (resume) {
+            file = await this.fileHandle.getFile();
+            // Stream the rows so large outputs are not loaded into memory
+            for await (const { fields } of readCSVRecords(file)) {
+                if (!headers) {
+                    headers = fields.map(h => h.trim());
+                    // Outputs from before the error column are still resumed
+                    const current = this.columns.filter(column => headers.includes('error') || column !== 'error');
+                    if (!sameList(headers, current)) {
+                        throw new Error(`Cannot resume: the output has the columns ${headers.join(', ')}, not ${current.join(', ')} as this run writes. Run the same tasks or start a new output`);
+                    }
+                    continue;
+                }
+                const row = Object.fromEntries(headers.map((header, index) => [header, fields[index]]));
+                // Failed images are written with an error (or, in outputs from before
+                // the error column, without a filename), so they are retried
+                const filename = row.filename ?? row.image;
+                if (filename !== undefined && filename !== '' && !row.error) {
+                    this.completed.add(filename);
+                }
+                const id = Number(row.id);
+                if (row.id !== '' && Number.isInteger(id) && id >= this.rowId) {
+                    this.rowId = id + 1;
+                }
+            }
+        }
 
-        // Flatten the result
+        if (this.dirHandle) {
+            await writeRunFile(this.dirHandle, this);
+        }
+
+        if (headers) {
+            this.headers = headers;
+            this.writable = await this.fileHandle.createWritable({ keepExistingData: true });
+            await this.writable.seek(file.size);
+            if (await file.slice(-1).text() !== '\n') {
+                await this.writable.write('\n');
+            }
+            return;
+        }
+
+        this.writable = await this.fileHandle.createWritable();
+    }
+
+    /**
+     * Flatten the result of a single-task run into CSV rows
+     * @param {Object} item - Batch result from the worker
+     * @param {*} result - Flattened result of the task
+     * @returns {Array<Object>}
+     */
+    flattenResult(item, result) {
         const flatItems = [];
-        
-        // Handle OCR_WITH_REGION format with quad_boxes
-        if (item.result && item.result.labels && item.result.quad_boxes) {
-            const { labels, quad_boxes } = item.result;
+        // Box rows name their image in `image`
+        const headers = this.headers ?? this.columns;
+        const fileColumn = headers.includes('filename') ? 'filename' : 'image';
+
+        if (item.error) {
+            // Outputs resumed from before the error column retry rows without a filename
+            return [headers.includes('error')
+                ? { id: this.rowId++, [fileColumn]: item.filename, error: item.error }
+                : { id: this.rowId++ }];
+        }
+
+        // Handle segmentation and open-vocabulary detection formats with polygons
+        if (result && result.polygons) {
+            for (const region of getRegions(result)) {
+                const [xmin, ymin, xmax, ymax] = region.bbox;
+                flatItems.push({
+                    id: this.rowId++,
+                    filename: item.filename,
+                    label: region.label,
+                    xmin,
+                    ymin,
+                    xmax,
+                    ymax,
+                    // Flat [x1, y1, x2, y2, ...] outline, empty for plain boxes
+                    polygon: region.polygon ? JSON.stringify(region.polygon.map(v => Math.round(v * 100) / 100)) : ''
+                });
+            }
+        } else if (result && result.labels && result.quad_boxes) {
+            // Handle OCR_WITH_REGION format with quad_boxes
+            const { labels, quad_boxes } = result;
             for (let i = 0; i < labels.length; i++) {
                 flatItems.push({
                     id: this.rowId++,
@@ -95,131 +652,609 @@ export class StreamingCSVWriter {
                     y4: quad_boxes[i][7]
                 });
             }
-        } else if (item.result && item.result.labels && item.result.bboxes) {
+        } else if (result && result.labels && result.bboxes) {
             // Handle OD (Object Detection) format with bboxes
-            const { labels, bboxes } = item.result;
+            const { labels, bboxes } = result;
             for (let i = 0; i < labels.length; i++) {
                 flatItems.push({
                     id: this.rowId++,
-                    filename: item.filename,
+                    [fileColumn]: item.filename,
                     label: labels[i],
                     xmin: bboxes[i][0],
                     ymin: bboxes[i][1],
                     xmax: bboxes[i][2],
-                    ymax: bboxes[i][3]
+                    ymax: bboxes[i][3],
+                    ...(result.descriptions && { description: result.descriptions[i] })
                 });
             }
-        } else if (Array.isArray(item.result)) {
+        } else if (Array.isArray(result)) {
             // Add ID to each item in array
-            flatItems.push(...item.result.map(r => ({ id: this.rowId++, ...r })));
-        } else if (item.result && typeof item.result === 'object') {
-            flatItems.push({ id: this.rowId++, filename: item.filename, result: JSON.stringify(item.result) });
+            flatItems.push(...result.map(r => ({ id: this.rowId++, ...r })));
+        } else if (result && typeof result === 'object') {
+            flatItems.push({ id: this.rowId++, filename: item.filename, result: JSON.stringify(result) });
         } else {
-            flatItems.push({ id: this.rowId++, filename: item.filename, result: item.result });
+            flatItems.push({ id: this.rowId++, filename: item.filename, result: result });
+        }
+
+        // Keep a row for images without detections, so a resumed run does not process them again
+        if (flatItems.length === 0) {
+            flatItems.push({ id: this.rowId++, [fileColumn]: item.filename });
         }
 
+        return flatItems;
+    }
+
+    /**
+     * Flatten a multi-task result into a single row with one column per task
+     * @param {Object} item - Batch result from the worker
+     * @returns {Object}
+     */
+    flattenTasks(item) {
+        const row = { id: this.rowId++, filename: item.filename };
+        for (const task of this.tasks) {
+            const result = item.rawResults?.[task] ?? item.results?.[task];
+            row[taskColumn(task)] = result && typeof result === 'object' ? JSON.stringify(result) : result;
+        }
+        row.error = item.error ?? '';
+        return row;
+    }
+
+    async writeResult(item) {
+        if (!this.writable) throw new Error('Writer not initialized');
+
+        const flatItems = this.tasks.length === 1
+            ? this.flattenResult(item, item.results?.[this.tasks[0]])
+            : [this.flattenTasks(item)];
+
+        // Keep the phrase next to the boxes it was grounded against
+        const hasInput = this.tasks.some(task => TASKS_WITH_INPUTS.includes(task));
+
         for (const flatItem of flatItems) {
+            if (hasInput) {
+                flatItem.input = item.input ?? '';
+            }
+            flatItem.model = this.model;
+
             // Write headers on first row
             if (!this.headers) {
-                this.headers = Object.keys(flatItem);
+                this.headers = this.columns;
                 await this.writable.write(this.headers.join(',') + '\n');
             }
 
             // Write row
             const values = this.headers.map(header => {
                 const value = flatItem[header];
-                // Escape values that contain commas or quotes
-                if (typeof value === 'string' && (value.includes(',') || value.includes('"'))) {
+                // Escape values that contain commas, quotes or line breaks
+                if (typeof value === 'string' && /[",\r\n]/.test(value)) {
                     return `"${value.replace(/"/g, '""')}"`;
                 }
                 return value ?? '';
             });
             await this.writable.write(values.join(',') + '\n');
         }
+        trackResult(this, item);
+        await checkpoint(this);
     }
 
-    async finalize() {
+    async finalize(options = {}) {
         if (!this.writable) return;
         // Wait for all pending writes to complete
         await Promise.all(this.pendingWrites);
         await this.writable.close();
         this.writable = null;
+        if (this.dirHandle) {
+            await writeRunFile(this.dirHandle, this, runSummary(this, options));
+        }
     }
 }
 
 /**
  * Create a streaming individual files writer
+ * Writes `<image>.json` per image, and the run manifest and summary to `run.json`.
+ * Images picked from nested folders get their results in the same subfolders
  */
 export class StreamingIndividualWriter {
     constructor(dirHandle) {
         this.dirHandle = dirHandle;
-        this.task = null;
+        this.tasks = [];
         this.pendingWrites = []; // Track pending write promises
+        this.completed = new Set(); // Filenames already present in a resumed output
+        this.processed = 0;
+        this.failed = 0;
     }
 
-    async initialize(task) {
-        this.task = task;
+    async initialize(tasks, options = {}) {
+        const { resume = false } = options;
+        this.tasks = [].concat(tasks);
+        this.model = options.model_id ?? null;
+        this.manifest = runManifest(this.tasks, options);
         this.pendingWrites = [];
+        this.completed = new Set();
+        this.processed = 0;
+        this.failed = 0;
+        this.previousRun = null;
+
+        if (resume) {
+            this.previousRun = await readRunFile(this.dirHandle);
+            checkResumedRun(this.previousRun && recordedRuns(this.previousRun).at(-1)?.run, this.manifest);
+            // Results of images in subfolders are in the same subfolders
+            for await (const { path, handle } of scanDirectory(this.dirHandle, { include: '*.json', exclude: '' })) {
+                if (path === RUN_FILE) continue;
+                try {
+                    const file = await handle.getFile();
+                    const resultObject = JSON.parse(await file.text());
+                    // Failed images are retried
+                    if (resultObject.filename && !resultObject.error && recordMatchesTasks(resultObject, this.tasks)) {
+                        this.completed.add(resultObject.filename);
+                    }
+                } catch (err) {
+                    console.warn(`Ignoring unreadable result file ${path}:`, err);
+                }
+            }
+        }
+
+        await writeRunFile(this.dirHandle, this);
     }
 
     async writeResult(item) {
         if (!this.dirHandle) throw new Error('Writer not initialized');
 
-        const resultObject = {
-            filename: item.filename,
-            task: this.task,
-            result: item.rawResult || item.result,
-            time: item.time,
-            ...(item.error && { error: item.error })
+        const resultObject = buildResultObject(item, this.tasks, this.model);
+
+        await writeTextFile(this.dirHandle, `${item.filename}.json`, JSON.stringify(resultObject, null, 2));
+        trackResult(this, item);
+    }
+
+    async finalize(options = {}) {
+        // Wait for all pending writes to complete
+        await Promise.all(this.pendingWrites);
+        await writeRunFile(this.dirHandle, this, runSummary(this, options));
+    }
+}
+
+/**
+ * Create a streaming COCO writer for detection and OCR batches
+ * Annotations are streamed to the file; images, categories and the run summary
+ * are small and written after them when the run is finalized. The run manifest
+ * is kept in `info.run`
+ */
+export class StreamingCOCOWriter {
+    constructor(fileHandle) {
+        this.fileHandle = fileHandle;
+        this.writable = null;
+        this.images = [];
+        this.categories = new Map(); // label -> category id
+        this.annotationId = 0;
+        this.isFirst = true;
+        this.pendingWrites = []; // Track pending write promises
+        this.completed = new Set();
+        this.lastCheckpoint = null;
+        this.processed = 0;
+        this.failed = 0;
+    }
+
+    async initialize(tasks, options = {}) {
+        if (options.resume) throw new Error('Resuming is not supported for COCO output');
+
+        this.tasks = [].concat(tasks);
+        this.model = options.model_id ?? null;
+        this.manifest = runManifest(this.tasks, options);
+        this.images = [];
+        this.categories = new Map();
+        this.annotationId = 0;
+        this.isFirst = true;
+        this.pendingWrites = [];
+        this.completed = new Set();
+        this.lastCheckpoint = null;
+        this.processed = 0;
+        this.failed = 0;
+
+        const info = {
+            description: `Florence-2 ${this.tasks.join(', ')}`,
+            ...(this.model && { model: this.model }),
+            version: packageInfo.version,
+            date_created: this.manifest.started_at,
+            run: this.manifest
         };
 
-        const fileHandle = await this.dirHandle.getFileHandle(`${item.filename}.json`, { create: true });
-        const writable = await fileHandle.createWritable();
-        await writable.write(JSON.stringify(resultObject, null, 2));
-        await writable.close();
+        this.writable = await this.fileHandle.createWritable();
+        await this.writable.write(`{\n  "info": ${JSON.stringify(info)},\n  "annotations": [\n`);
+    }
+
+    categoryId(label) {
+        const name = label || 'object';
+        if (!this.categories.has(name)) {
+            this.categories.set(name, this.categories.size + 1);
+        }
+        return this.categories.get(name);
+    }
+
+    async writeResult(item) {
+        if (!this.writable) throw new Error('Writer not initialized');
+        trackResult(this, item);
+        // Failed images have no annotations and unknown dimensions
+        if (item.error) return;
+
+        const imageId = this.images.length + 1;
+        const [width, height] = item.image_size ?? [];
+        this.images.push({ id: imageId, file_name: item.filename, width, height });
+
+        const annotations = [];
+        for (const task of this.tasks) {
+            for (const region of getRegions(item.rawResults?.[task])) {
+                const [xmin, ymin, xmax, ymax] = region.bbox.map(round2);
+                const boxed = region.kind === 'box';
+                annotations.push({
+                    id: ++this.annotationId,
+                    image_id: imageId,
+                    category_id: this.categoryId(region.label),
+                    bbox: [xmin, ymin, round2(xmax - xmin), round2(ymax - ymin)],
+                    area: round2(boxed ? (xmax - xmin) * (ymax - ymin) : polygonArea(region.points)),
+                    // Quad boxes and polygons keep their outline
+                    segmentation: boxed ? [] : [region.points.flat().map(round2)],
+                    iscrowd: 0
+                });
+            }
+        }
+
+        for (const annotation of annotations) {
+            if (!this.isFirst) {
+                await this.writable.write(',\n');
+            }
+            this.isFirst = false;
+            await this.writable.write('    ' + JSON.stringify(annotation));
+        }
+        await checkpoint(this);
+    }
+
+    async finalize(options = {}) {
+        if (!this.writable) return;
+        // Wait for all pending writes to complete
+        await Promise.all(this.pendingWrites);
+
+        const lines = items => items.map(entry => '    ' + JSON.stringify(entry)).join(',\n');
+        const categories = [...this.categories].map(([name, id]) => ({ id, name, supercategory: '' }));
+        await this.writable.write(
+            `\n  ],\n  "images": [\n${lines(this.images)}\n  ],\n  "categories": [\n${lines(categories)}\n  ],\n` +
+            `  "summary": ${JSON.stringify(runSummary(this, options))}\n}\n`
+        );
+        await this.writable.close();
+        this.writable = null;
+    }
+}
+
+/**
+ * Create a streaming YOLO label writer
+ * Writes `<image>.txt` with normalized `class cx cy w h` lines per image (subfolders
+ * of the input are mirrored), and
+ * `classes.txt` with the label vocabulary when the run is finalized.
+ * The run manifest and summary go to `run.json`
+ */
+export class StreamingYOLOWriter {
+    constructor(dirHandle) {
+        this.dirHandle = dirHandle;
+        this.tasks = [];
+        this.classes = new Map(); // label -> class id
+        this.pendingWrites = []; // Track pending write promises
+        this.completed = new Set();
+        this.processed = 0;
+        this.failed = 0;
+    }
+
+    async initialize(tasks, options = {}) {
+        if (options.resume) throw new Error('Resuming is not supported for YOLO output');
+
+        this.tasks = [].concat(tasks);
+        this.manifest = runManifest(this.tasks, options);
+        this.classes = new Map();
+        this.pendingWrites = [];
+        this.completed = new Set();
+        this.processed = 0;
+        this.failed = 0;
+        this.previousRun = null;
+        await writeRunFile(this.dirHandle, this);
+    }
+
+    classId(label) {
+        const name = label || 'object';
+        if (!this.classes.has(name)) {
+            this.classes.set(name, this.classes.size);
+        }
+        return this.classes.get(name);
+    }
+
+    async writeResult(item) {
+        if (!this.dirHandle) throw new Error('Writer not initialized');
+        trackResult(this, item);
+        // Failed images have no labels and unknown dimensions
+        if (item.error || !item.image_size) return;
+
+        const [width, height] = item.image_size;
+        const lines = [];
+        for (const task of this.tasks) {
+            for (const region of getRegions(item.rawResults?.[task])) {
+                const [xmin, ymin, xmax, ymax] = region.bbox;
+                const values = [(xmin + xmax) / 2 / width, (ymin + ymax) / 2 / height, (xmax - xmin) / width, (ymax - ymin) / height];
+                lines.push([this.classId(region.label), ...values.map(v => Math.min(1, Math.max(0, v)).toFixed(6))].join(' '));
+            }
+        }
+
+        // Images without detections still get an empty label file (negative samples)
+        await writeTextFile(this.dirHandle, `${baseName(item.filename)}.txt`, lines.map(line => line + '\n').join(''));
+    }
+
+    async finalize(options = {}) {
+        // Wait for all pending writes to complete
+        await Promise.all(this.pendingWrites);
+        await writeTextFile(this.dirHandle, 'classes.txt', [...this.classes.keys()].map(name => name + '\n').join(''));
+        await writeRunFile(this.dirHandle, this, runSummary(this, options));
+    }
+}
+
+/**
+ * Create a streaming Pascal VOC writer
+ * Writes one `<image>.xml` annotation per image, next to where the image sits
+ * in the input folder, and the run manifest and summary to `run.json`
+ */
+export class StreamingVOCWriter {
+    constructor(dirHandle) {
+        this.dirHandle = dirHandle;
+        this.tasks = [];
+        this.pendingWrites = []; // Track pending write promises
+        this.completed = new Set();
+        this.processed = 0;
+        this.failed = 0;
+    }
+
+    async initialize(tasks, options = {}) {
+        if (options.resume) throw new Error('Resuming is not supported for Pascal VOC output');
+
+        this.tasks = [].concat(tasks);
+        this.manifest = runManifest(this.tasks, options);
+        this.pendingWrites = [];
+        this.completed = new Set();
+        this.processed = 0;
+        this.failed = 0;
+        this.previousRun = null;
+        await writeRunFile(this.dirHandle, this);
     }
 
-    async finalize() {
+    async writeResult(item) {
+        if (!this.dirHandle) throw new Error('Writer not initialized');
+        trackResult(this, item);
+        // Failed images have no annotations and unknown dimensions
+        if (item.error || !item.image_size) return;
+
+        const [width, height] = item.image_size;
+        const objects = [];
+        for (const task of this.tasks) {
+            for (const region of getRegions(item.rawResults?.[task])) {
+                const [xmin, ymin, xmax, ymax] = region.bbox;
+                objects.push([
+                    '  <object>',
+                    `    <name>${escapeXML(region.label || 'object')}</name>`,
+                    '    <pose>Unspecified</pose>',
+                    '    <truncated>0</truncated>',
+                    '    <difficult>0</difficult>',
+                    '    <bndbox>',
+                    `      <xmin>${Math.max(0, Math.round(xmin))}</xmin>`,
+                    `      <ymin>${Math.max(0, Math.round(ymin))}</ymin>`,
+                    `      <xmax>${Math.min(width, Math.round(xmax))}</xmax>`,
+                    `      <ymax>${Math.min(height, Math.round(ymax))}</ymax>`,
+                    '    </bndbox>',
+                    '  </object>',
+                ].join('\n'));
+            }
+        }
+
+        const slash = item.filename.lastIndexOf('/');
+        const xml = [
+            '<annotation>',
+            ...(slash !== -1 ? [`  <folder>${escapeXML(item.filename.slice(0, slash))}</folder>`] : []),
+            `  <filename>${escapeXML(item.filename.slice(slash + 1))}</filename>`,
+            '  <size>',
+            `    <width>${width}</width>`,
+            `    <height>${height}</height>`,
+            '    <depth>3</depth>',
+            '  </size>',
+            '  <segmented>0</segmented>',
+            ...objects,
+            '</annotation>',
+        ].join('\n') + '\n';
+
+        await writeTextFile(this.dirHandle, `${baseName(item.filename)}.xml`, xml);
+    }
+
+    async finalize(options = {}) {
         // Wait for all pending writes to complete
         await Promise.all(this.pendingWrites);
+        await writeRunFile(this.dirHandle, this, runSummary(this, options));
+    }
+}
+
+/**
+ * Create the writer of a format over an output folder
+ * Single-file formats write into the folder under a fixed name
+ * @param {string} format - Output format (see `createStreamingWriter`)
+ * @param {FileSystemDirectoryHandle} dirHandle - Output folder
+ * @returns {Promise<Object>} Writer, not yet initialized
+ */
+async function folderWriter(format, dirHandle) {
+    const file = (name) => dirHandle.getFileHandle(name, { create: true });
+    switch (format) {
+        case 'json': return new StreamingJSONWriter(await file('results.json'));
+        case 'jsonl': return new StreamingJSONLWriter(await file('results.jsonl'));
+        case 'csv': return new StreamingCSVWriter(await file(CSV_FILE), dirHandle);
+        case 'coco': return new StreamingCOCOWriter(await file('coco.json'));
+        case 'yolo': return new StreamingYOLOWriter(dirHandle);
+        case 'voc': return new StreamingVOCWriter(dirHandle);
+        case 'individual': return new StreamingIndividualWriter(dirHandle);
+        default: throw new Error(`Unknown format: ${format}`);
+    }
+}
+
+/**
+ * Create a streaming ZIP writer, for browsers without the File System Access API
+ * Results stream into a ZIP archive laid out as the format would be saved
+ * (`results.csv` and `run.json`, one file per image, ...) by the format's own
+ * writer; files are packed as they are written and the archive is downloaded
+ * when the run is finalized
+ */
+export class StreamingZipWriter {
+    constructor(format, archiveName) {
+        this.format = format;
+        this.archiveName = archiveName;
+        this.archive = new ZipArchive();
+        this.writer = null;
+    }
+
+    // Progress of the format writer
+    get pendingWrites() {
+        return this.writer?.pendingWrites ?? [];
+    }
+
+    get completed() {
+        return this.writer?.completed ?? new Set();
+    }
+
+    get processed() {
+        return this.writer?.processed ?? 0;
+    }
+
+    get failed() {
+        return this.writer?.failed ?? 0;
+    }
+
+    async initialize(tasks, options = {}) {
+        if (options.resume) throw new Error('Resuming is not supported for ZIP downloads');
+
+        this.archive = new ZipArchive();
+        this.writer = await folderWriter(this.format, this.archive.root);
+        await this.writer.initialize(tasks, options);
+    }
+
+    async writeResult(item) {
+        if (!this.writer) throw new Error('Writer not initialized');
+        await this.writer.writeResult(item);
+    }
+
+    async finalize(options = {}) {
+        await this.writer.finalize(options);
+        downloadBlob(this.archive.toBlob(), this.archiveName);
+    }
+}
+
+/**
+ * Let the user pick an existing output file and grant write access to it
+ * @param {Array} types - File picker accept types
+ * @returns {Promise<FileSystemFileHandle>}
+ */
+async function pickExistingFile(types) {
+    const [fileHandle] = await window.showOpenFilePicker({
+        types,
+        multiple: false,
+        startIn: 'documents'
+    });
+    if (await fileHandle.requestPermission({ mode: 'readwrite' }) !== 'granted') {
+        throw new Error('Write permission to the output file was denied');
     }
+    return fileHandle;
 }
 
 /**
  * Factory function to create appropriate writer based on format
+ * @param {string} format - Output format ('json', 'jsonl', 'csv', 'coco', 'yolo', 'voc' or 'individual')
+ * @param {string|string[]} tasks - Florence-2 task token(s) run on each image
+ * @param {Object} [options]
+ * @param {boolean} [options.resume] - Append to an existing output; the writer's
+ *   `completed` set then holds the filenames already present in it
+ * @param {string} [options.model_id] - Model that produced the results, recorded in the output
+ * @param {Object} [options.dtype] - Precision per submodel, recorded in the run manifest
+ * @param {string} [options.device] - Backend the model ran on ('webgpu' or 'wasm'), recorded in the run manifest
+ * @param {Object} [options.generation] - Generation parameters, recorded in the run manifest
+ * @param {string} [options.region_task] - Second-pass task run on detected boxes, recorded in the run manifest
+ * @param {Object} [options.tiling] - Tile size and overlap of tiled inference, recorded in the run manifest
+ * @param {number} [options.batch_size] - Images per generate call, recorded in the run manifest
+ * @param {boolean} [options.fp16] - Whether the GPU supports fp16, recorded in the run manifest
  */
-export async function createStreamingWriter(format, task) {
+export async function createStreamingWriter(format, tasks, options = {}) {
+    const { resume = false } = options;
     let writer;
     
-    if (format === 'json') {
+    if (!isFileSystemAccessSupported()) {
+        // No pickers to save with: the output is downloaded once the run is finalized
+        writer = new StreamingZipWriter(format, `florence2_${format}_${Date.now()}.zip`);
+        await writer.initialize(tasks, options);
+    } else if (format === 'json') {
+        const types = [{
+            description: 'JSON Files',
+            accept: { 'application/json': ['.json'] }
+        }];
+        const fileHandle = resume
+            ? await pickExistingFile(types)
+            : await window.showSaveFilePicker({
+                suggestedName: `florence2_results_${Date.now()}.json`,
+                types,
+                startIn: 'documents'
+            });
+        writer = new StreamingJSONWriter(fileHandle);
+        await writer.initialize(tasks, options);
+    } else if (format === 'jsonl') {
+        const types = [{
+            description: 'JSON Lines Files',
+            accept: { 'application/jsonl': ['.jsonl'] }
+        }];
+        const fileHandle = resume
+            ? await pickExistingFile(types)
+            : await window.showSaveFilePicker({
+                suggestedName: `florence2_results_${Date.now()}.jsonl`,
+                types,
+                startIn: 'documents'
+            });
+        writer = new StreamingJSONLWriter(fileHandle);
+        await writer.initialize(tasks, options);
+    } else if (format === 'csv') {
+        // A folder holds the CSV next to its run.json sidecar
+        const dirHandle = await window.showDirectoryPicker({
+            mode: 'readwrite',
+            startIn: 'documents'
+        });
+        let fileHandle;
+        try {
+            fileHandle = await dirHandle.getFileHandle(CSV_FILE, { create: !resume });
+        } catch (err) {
+            if (err.name === 'NotFoundError') {
+                throw new Error(`No ${CSV_FILE} to resume in the selected folder`);
+            }
+            throw err;
+        }
+        writer = new StreamingCSVWriter(fileHandle, dirHandle);
+        await writer.initialize(tasks, options);
+    } else if (format === 'coco') {
         const fileHandle = await window.showSaveFilePicker({
-            suggestedName: `florence2_results_${Date.now()}.json`,
+            suggestedName: `florence2_coco_${Date.now()}.json`,
             types: [{
-                description: 'JSON Files',
+                description: 'COCO JSON Files',
                 accept: { 'application/json': ['.json'] }
             }],
             startIn: 'documents'
         });
-        writer = new StreamingJSONWriter(fileHandle);
-        await writer.initialize(task);
-    } else if (format === 'csv') {
-        const fileHandle = await window.showSaveFilePicker({
-            suggestedName: `florence2_results_${Date.now()}.csv`,
-            types: [{
-                description: 'CSV Files',
-                accept: { 'text/csv': ['.csv'] }
-            }],
+        writer = new StreamingCOCOWriter(fileHandle);
+        await writer.initialize(tasks, options);
+    } else if (format === 'yolo' || format === 'voc') {
+        const dirHandle = await window.showDirectoryPicker({
+            mode: 'readwrite',
             startIn: 'documents'
         });
-        writer = new StreamingCSVWriter(fileHandle);
-        await writer.initialize();
+        writer = format === 'yolo' ? new StreamingYOLOWriter(dirHandle) : new StreamingVOCWriter(dirHandle);
+        await writer.initialize(tasks, options);
     } else if (format === 'individual') {
         const dirHandle = await window.showDirectoryPicker({
             mode: 'readwrite',
             startIn: 'documents'
         });
         writer = new StreamingIndividualWriter(dirHandle);
-        await writer.initialize(task);
+        await writer.initialize(tasks, options);
     } else {
         throw new Error(`Unknown format: ${format}`);
     }
@@ -0,0 +1,82 @@
+/**
+ * Florence-2 tasks exposed in the UI
+ */
+
+import { parseCSV } from './csv';
+
+// `input` marks tasks whose prompt is followed by user text ('text') or by a
+// region given as location tokens or pixel coordinates ('region');
+// `boxes`, `quads` and `polygons` mark tasks that return labeled bounding boxes,
+// quad boxes or polygons; `tiles` marks tasks whose regions can be found tile by
+// tile on large images
+export const TASKS = [
+    { token: '<OD>', name: 'Object Detection', boxes: true, tiles: true },
+    { token: '<CAPTION>', name: 'Caption' },
+    { token: '<DETAILED_CAPTION>', name: 'Detailed Caption' },
+    { token: '<MORE_DETAILED_CAPTION>', name: 'More Detailed Caption' },
+    { token: '<DENSE_REGION_CAPTION>', name: 'Dense Region Caption', boxes: true, tiles: true },
+    { token: '<OCR>', name: 'OCR' },
+    { token: '<OCR_WITH_REGION>', name: 'OCR with Region', quads: true, tiles: true },
+    { token: '<CAPTION_TO_PHRASE_GROUNDING>', name: 'Caption to Phrase Grounding', input: 'text', boxes: true },
+    { token: '<REFERRING_EXPRESSION_SEGMENTATION>', name: 'Referring Expression Segmentation', input: 'text', polygons: true },
+    { token: '<OPEN_VOCABULARY_DETECTION>', name: 'Open Vocabulary Detection', input: 'text', polygons: true },
+    { token: '<REGION_PROPOSAL>', name: 'Region Proposal', boxes: true, tiles: true },
+    { token: '<REGION_TO_SEGMENTATION>', name: 'Region to Segmentation', input: 'region', polygons: true },
+    { token: '<REGION_TO_CATEGORY>', name: 'Region to Category', input: 'region' },
+    { token: '<REGION_TO_DESCRIPTION>', name: 'Region to Description', input: 'region' },
+];
+
+export const TASKS_WITH_INPUTS = TASKS.filter(task => task.input).map(task => task.token);
+
+export const TASKS_WITH_REGION_INPUTS = TASKS.filter(task => task.input === 'region').map(task => task.token);
+
+export const TASKS_WITH_BOXES = TASKS.filter(task => task.boxes).map(task => task.token);
+
+export const TASKS_WITH_QUADS = TASKS.filter(task => task.quads).map(task => task.token);
+
+export const TASKS_WITH_POLYGONS = TASKS.filter(task => task.polygons).map(task => task.token);
+
+export const TASKS_WITH_TILES = TASKS.filter(task => task.tiles).map(task => task.token);
+
+/**
+ * Column name for a task in tabular outputs, e.g. '<OD>' -> 'OD'
+ * @param {string} task - Task token
+ * @returns {string}
+ */
+export function taskColumn(task) {
+    return task.replace(/[<>]/g, '');
+}
+
+const FILENAME_COLUMNS = ['filename', 'image', 'file'];
+const INPUT_COLUMNS = ['phrase', 'caption', 'text', 'prompt', 'input', 'region'];
+
+/**
+ * Parse a CSV mapping image filenames to per-image text inputs (e.g. grounding phrases)
+ * Uses the filename/image/file and phrase/caption/text/prompt/input/region columns,
+ * falling back to the first two columns
+ * @param {string} csvContent - CSV file content
+ * @returns {Map<string, string>} filename -> text input
+ */
+export function parseInputsCSV(csvContent) {
+    const rows = parseCSV(csvContent);
+    if (rows.length === 0) return new Map();
+
+    const headers = Object.keys(rows[0]);
+    const findColumn = (names, fallback) =>
+        headers.find(h => names.includes(h.toLowerCase())) ?? headers[fallback];
+    const filenameColumn = findColumn(FILENAME_COLUMNS, 0);
+    const inputColumn = findColumn(INPUT_COLUMNS, 1);
+    if (!inputColumn || inputColumn === filenameColumn) {
+        throw new Error('CSV needs a filename column and a phrase column');
+    }
+
+    const inputs = new Map();
+    for (const row of rows) {
+        const filename = row[filenameColumn];
+        const input = row[inputColumn];
+        if (filename !== undefined && filename !== '' && input !== undefined && input !== '') {
+            inputs.set(String(filename), String(input));
+        }
+    }
+    return inputs;
+}
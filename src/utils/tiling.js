@@ -0,0 +1,172 @@
+/**
+ * Tiled inference for large images: tile layout and merging of tile results
+ */
+
+import { boundingBox } from './regions';
+
+// `size` and `overlap` are in image pixels; `fullImage` also runs the task on the
+// whole (downscaled) image, so objects larger than a tile are still found whole
+export const DEFAULT_TILING = {
+    enabled: false,
+    size: 1024,
+    overlap: 128,
+    fullImage: true,
+};
+
+// Region keys of Florence-2 results, each paired with `labels`
+const REGION_KEYS = ['bboxes', 'quad_boxes', 'polygons'];
+
+// Regions from different tiles are the same object above either overlap measure
+const IOU_THRESHOLD = 0.5;
+const CONTAINMENT_THRESHOLD = 0.8;
+
+/**
+ * Start offsets of tiles along one side, spread evenly so the last tile ends at the border
+ * @param {number} length - Image side in pixels
+ * @param {number} size - Tile side
+ * @param {number} overlap - Minimum overlap between neighbouring tiles
+ * @returns {number[]}
+ */
+function tileStarts(length, size, overlap) {
+    if (length <= size) return [0];
+    const count = Math.ceil((length - overlap) / (size - overlap));
+    return Array.from({ length: count }, (_, i) => Math.round(i * (length - size) / (count - 1)));
+}
+
+/**
+ * Overlapping tiles covering an image
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} tiling - Tiling settings (see `DEFAULT_TILING`)
+ * @returns {Array<{left: number, top: number, width: number, height: number}>|null}
+ *   Tiles in reading order, or null when the image fits in a single tile
+ */
+export function tileGrid(width, height, tiling) {
+    const size = Math.max(64, Math.round(tiling.size));
+    const overlap = Math.min(Math.max(0, Math.round(tiling.overlap)), Math.floor(size / 2));
+    if (width <= size && height <= size) return null;
+
+    const tiles = [];
+    for (const top of tileStarts(height, size, overlap)) {
+        for (const left of tileStarts(width, size, overlap)) {
+            tiles.push({ left, top, width: Math.min(size, width), height: Math.min(size, height) });
+        }
+    }
+    return tiles;
+}
+
+/**
+ * Shift flat `x, y, x, y, ...` coordinates
+ * @param {number[]} coords
+ * @param {number} left
+ * @param {number} top
+ * @returns {number[]}
+ */
+function shiftCoords(coords, left, top) {
+    return coords.map((value, i) => value + (i % 2 === 0 ? left : top));
+}
+
+/**
+ * Points of flat coordinates
+ * @param {number[]} coords
+ * @returns {Array<[number, number]>}
+ */
+function toPoints(coords) {
+    const points = [];
+    for (let i = 0; i + 1 < coords.length; i += 2) {
+        points.push([coords[i], coords[i + 1]]);
+    }
+    return points;
+}
+
+/**
+ * Area of the intersection of two boxes
+ * @param {number[]} a - [xmin, ymin, xmax, ymax]
+ * @param {number[]} b - [xmin, ymin, xmax, ymax]
+ * @returns {number}
+ */
+function intersectionArea(a, b) {
+    const width = Math.min(a[2], b[2]) - Math.max(a[0], b[0]);
+    const height = Math.min(a[3], b[3]) - Math.max(a[1], b[1]);
+    return width > 0 && height > 0 ? width * height : 0;
+}
+
+/**
+ * Area of a box
+ * @param {number[]} box - [xmin, ymin, xmax, ymax]
+ * @returns {number}
+ */
+function boxArea(box) {
+    return Math.max(0, box[2] - box[0]) * Math.max(0, box[3] - box[1]);
+}
+
+/**
+ * Whether two regions are the same object seen from different tiles
+ * Text lines cut at a seam read differently on each side, so quads are compared
+ * without their labels
+ * @param {Object} a - Merged region
+ * @param {Object} b - Candidate region
+ * @returns {boolean}
+ */
+function isDuplicate(a, b) {
+    if (a.sources.has(b.source)) return false;
+    if (a.key !== 'quad_boxes' && a.label !== b.label) return false;
+
+    const intersection = intersectionArea(a.bbox, b.bbox);
+    if (intersection === 0) return false;
+    const areaA = boxArea(a.bbox);
+    const areaB = boxArea(b.bbox);
+    return intersection / (areaA + areaB - intersection) >= IOU_THRESHOLD
+        || intersection / Math.min(areaA, areaB) >= CONTAINMENT_THRESHOLD;
+}
+
+/**
+ * Merge the results of one task run on several tiles into a result for the whole image
+ * Tile-local coordinates are shifted to the image; a region found again in another
+ * tile (e.g. across a seam, or cut by a tile border) is merged into the larger one
+ * found first: boxes grow to cover both, quads and polygons keep the larger one
+ * @param {Array<{result: Object, tile: {left: number, top: number}}>} tileResults -
+ *   Post-processed results with `bboxes`, `quad_boxes` or `polygons` and their `labels`
+ * @returns {Object} Result in the same layout, in image coordinates
+ */
+export function mergeTileResults(tileResults) {
+    const key = REGION_KEYS.find(k => tileResults.some(({ result }) => result?.[k]));
+    if (!key) return tileResults[0]?.result ?? {};
+
+    const regions = [];
+    tileResults.forEach(({ result, tile }, source) => {
+        (result?.[key] ?? []).forEach((region, i) => {
+            const data = key === 'bboxes' || key === 'quad_boxes'
+                ? shiftCoords(region, tile.left, tile.top)
+                : region.map(polygon => shiftCoords(polygon, tile.left, tile.top));
+            const bbox = key === 'bboxes' ? data : boundingBox(key === 'quad_boxes' ? toPoints(data) : data.flatMap(toPoints));
+            regions.push({ key, data, bbox, label: result.labels?.[i] ?? '', source, order: regions.length });
+        });
+    });
+
+    // Larger regions first, so a whole object absorbs the pieces of it cut by tile borders
+    regions.sort((a, b) => boxArea(b.bbox) - boxArea(a.bbox));
+    const merged = [];
+    for (const region of regions) {
+        const match = merged.find(candidate => isDuplicate(candidate, region));
+        if (!match) {
+            merged.push({ ...region, sources: new Set([region.source]) });
+            continue;
+        }
+        match.sources.add(region.source);
+        if (key === 'bboxes') {
+            match.data = match.bbox = [
+                Math.min(match.bbox[0], region.bbox[0]),
+                Math.min(match.bbox[1], region.bbox[1]),
+                Math.max(match.bbox[2], region.bbox[2]),
+                Math.max(match.bbox[3], region.bbox[3]),
+            ];
+        }
+    }
+    merged.sort((a, b) => a.order - b.order);
+
+    return {
+        [key]: merged.map(region => region.data),
+        labels: merged.map(region => region.label),
+    };
+}
@@ -0,0 +1,279 @@
+/**
+ * Folders packed into a ZIP download, for browsers without the File System Access API
+ * Each file becomes a ZIP entry as it is written, so only the packed content is kept
+ */
+
+const encoder = new TextEncoder();
+
+// Files deflated in the archive; anything else (crops and other images) is stored as is
+const TEXT_EXTENSIONS = ['.json', '.jsonl', '.csv', '.txt', '.xml'];
+
+// Sizes and offsets at or above this need ZIP64 records
+const ZIP32_LIMIT = 0xFFFFFFFF;
+const ZIP32_MAX_ENTRIES = 0xFFFF;
+
+let crcTable = null;
+let deflateSupported = null;
+
+/**
+ * Update a CRC-32 with more bytes
+ * @param {number} crc - CRC so far, starting at 0
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function crc32(crc, bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c;
+        }
+    }
+    crc = ~crc;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return ~crc >>> 0;
+}
+
+/**
+ * Whether content should be deflated: text compresses well, while images are already
+ * compressed and are stored as they are
+ * @param {string} path
+ * @returns {boolean}
+ */
+function isText(path) {
+    return TEXT_EXTENSIONS.some(extension => path.toLowerCase().endsWith(extension));
+}
+
+/**
+ * Whether this browser can deflate with `CompressionStream`
+ * @returns {boolean}
+ */
+function canDeflate() {
+    if (deflateSupported === null) {
+        try {
+            new CompressionStream('deflate-raw');
+            deflateSupported = true;
+        } catch {
+            deflateSupported = false;
+        }
+    }
+    return deflateSupported;
+}
+
+/**
+ * MS-DOS time and date of a file
+ * @param {Date} date
+ * @returns {{time: number, date: number}}
+ */
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: (Math.max(0, date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}
+
+/**
+ * Little-endian record builder
+ * @param {number} length - Record size in bytes
+ */
+function record(length) {
+    const bytes = new Uint8Array(length);
+    const view = new DataView(bytes.buffer);
+    let offset = 0;
+    return {
+        bytes,
+        u16(value) { view.setUint16(offset, value, true); offset += 2; return this; },
+        u32(value) { view.setUint32(offset, value, true); offset += 4; return this; },
+        u64(value) { view.setBigUint64(offset, BigInt(value), true); offset += 8; return this; },
+        raw(data) { bytes.set(data, offset); offset += data.length; return this; },
+    };
+}
+
+/**
+ * Writable of a `ZipFileHandle`; content is deflated or kept as it arrives, and becomes
+ * an entry of the archive when closed, replacing any earlier version of the file
+ * Entries can only be written front to back
+ */
+class ZipWritable {
+    constructor(archive, path) {
+        this.archive = archive;
+        this.path = path;
+        this.size = 0;
+        this.crc = 0;
+        this.method = isText(path) && canDeflate() ? 8 : 0;
+        if (this.method === 8) {
+            const compression = new CompressionStream('deflate-raw');
+            this.input = compression.writable.getWriter();
+            this.output = new Response(compression.readable).blob();
+        } else {
+            this.chunks = [];
+        }
+    }
+
+    async write(data) {
+        const bytes = typeof data === 'string' ? encoder.encode(data)
+            : data instanceof Blob ? new Uint8Array(await data.arrayBuffer())
+                : ArrayBuffer.isView(data) ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+                    : new Uint8Array(data);
+        this.crc = crc32(this.crc, bytes);
+        this.size += bytes.length;
+        if (this.method === 8) {
+            await this.input.write(bytes);
+        } else {
+            // Keep blobs rather than their bytes, the browser may hold large ones on disk
+            this.chunks.push(data instanceof Blob ? data : bytes);
+        }
+    }
+
+    async seek(position) {
+        if (position !== this.size) {
+            throw new DOMException(`${this.path} can only be written front to back`, 'NotSupportedError');
+        }
+    }
+
+    async truncate() {
+        throw new DOMException(`${this.path} can only be written front to back`, 'NotSupportedError');
+    }
+
+    async close() {
+        let data;
+        if (this.method === 8) {
+            await this.input.close();
+            data = await this.output;
+        } else {
+            data = new Blob(this.chunks);
+        }
+        this.archive.entries.delete(this.path);
+        this.archive.entries.set(this.path, { data, crc: this.crc, size: this.size, method: this.method, modified: new Date() });
+    }
+}
+
+/**
+ * File of a ZIP archive with the parts of `FileSystemFileHandle` the writers use
+ * Content is only kept packed, so it cannot be read back or reopened to append to
+ */
+export class ZipFileHandle {
+    constructor(archive, path, name) {
+        this.kind = 'file';
+        this.archive = archive;
+        this.path = path;
+        this.name = name;
+    }
+
+    async createWritable(options = {}) {
+        if (options.keepExistingData) {
+            throw new DOMException(`${this.path} cannot be reopened in a ZIP file`, 'NotSupportedError');
+        }
+        return new ZipWritable(this.archive, this.path);
+    }
+}
+
+/**
+ * Folder of a ZIP archive with the parts of `FileSystemDirectoryHandle` the writers and cropping use
+ */
+export class ZipDirectoryHandle {
+    constructor(archive, path = '', name = '') {
+        this.kind = 'directory';
+        this.archive = archive;
+        this.path = path;
+        this.name = name;
+        this.children = new Map();
+    }
+
+    async getFileHandle(name, options = {}) {
+        return this.getChild(name, 'file', options.create, () => new ZipFileHandle(this.archive, this.path + name, name));
+    }
+
+    async getDirectoryHandle(name, options = {}) {
+        return this.getChild(name, 'directory', options.create, () => new ZipDirectoryHandle(this.archive, `${this.path}${name}/`, name));
+    }
+
+    getChild(name, kind, create, createChild) {
+        const child = this.children.get(name);
+        if (child) {
+            if (child.kind !== kind) {
+                throw new DOMException(`${name} is not a ${kind}`, 'TypeMismatchError');
+            }
+            return child;
+        }
+        if (!create) {
+            throw new DOMException(`${name} was not found`, 'NotFoundError');
+        }
+        this.children.set(name, createChild());
+        return this.children.get(name);
+    }
+}
+
+/**
+ * ZIP file built up as files are written into its `root` folder
+ */
+export class ZipArchive {
+    constructor() {
+        // Packed entries keyed by path, in the order they were last written
+        this.entries = new Map();
+        this.root = new ZipDirectoryHandle(this);
+    }
+
+    /**
+     * Put the closed files together into a ZIP file
+     * The packed content is reused as is, only headers and the central directory are
+     * added; ZIP64 records are added when the archive has more than 65535 files or passes 4 GB
+     * @returns {Blob}
+     */
+    toBlob() {
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        for (const [path, { data, crc, size, method, modified }] of this.entries) {
+            const name = encoder.encode(path);
+            const { time, date } = dosDateTime(modified);
+            const zip64 = size >= ZIP32_LIMIT || data.size >= ZIP32_LIMIT || offset >= ZIP32_LIMIT;
+            // Bit 11: the name is UTF-8
+            const flags = 0x0800;
+
+            const local = record(30 + name.length + (zip64 ? 20 : 0))
+                .u32(0x04034B50).u16(zip64 ? 45 : 20).u16(flags).u16(method).u16(time).u16(date).u32(crc)
+                .u32(zip64 ? ZIP32_LIMIT : data.size).u32(zip64 ? ZIP32_LIMIT : size)
+                .u16(name.length).u16(zip64 ? 20 : 0).raw(name);
+            if (zip64) local.u16(0x0001).u16(16).u64(size).u64(data.size);
+            parts.push(local.bytes, data);
+
+            const entry = record(46 + name.length + (zip64 ? 28 : 0))
+                .u32(0x02014B50).u16(zip64 ? 45 : 20).u16(zip64 ? 45 : 20).u16(flags).u16(method).u16(time).u16(date).u32(crc)
+                .u32(zip64 ? ZIP32_LIMIT : data.size).u32(zip64 ? ZIP32_LIMIT : size)
+                .u16(name.length).u16(zip64 ? 28 : 0).u16(0).u16(0).u16(0).u32(0)
+                .u32(zip64 ? ZIP32_LIMIT : offset).raw(name);
+            if (zip64) entry.u16(0x0001).u16(24).u64(size).u64(data.size).u64(offset);
+            central.push(entry.bytes);
+
+            offset += local.bytes.length + data.size;
+        }
+
+        const count = this.entries.size;
+        const centralSize = central.reduce((sum, entry) => sum + entry.length, 0);
+        parts.push(...central);
+
+        if (count >= ZIP32_MAX_ENTRIES || offset >= ZIP32_LIMIT || centralSize >= ZIP32_LIMIT) {
+            const zip64End = record(56)
+                .u32(0x06064B50).u64(44).u16(45).u16(45).u32(0).u32(0)
+                .u64(count).u64(count).u64(centralSize).u64(offset);
+            const locator = record(20)
+                .u32(0x07064B50).u32(0).u64(offset + centralSize).u32(1);
+            parts.push(zip64End.bytes, locator.bytes);
+        }
+
+        const end = record(22)
+            .u32(0x06054B50).u16(0).u16(0)
+            .u16(Math.min(count, ZIP32_MAX_ENTRIES)).u16(Math.min(count, ZIP32_MAX_ENTRIES))
+            .u32(Math.min(centralSize, ZIP32_LIMIT)).u32(Math.min(offset, ZIP32_LIMIT)).u16(0);
+        parts.push(end.bytes);
+
+        return new Blob(parts, { type: 'application/zip' });
+    }
+}
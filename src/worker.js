@@ -4,8 +4,17 @@ import {
     AutoProcessor,
     AutoTokenizer,
     RawImage,
+    cat,
     full,
+    env,
 } from '@huggingface/transformers';
+import { DEFAULT_DTYPE, DEFAULT_DEVICE, DEFAULT_GENERATION } from './utils/models';
+import { TASKS_WITH_INPUTS, TASKS_WITH_REGION_INPUTS, TASKS_WITH_TILES } from './utils/tasks';
+import { tileGrid, mergeTileResults } from './utils/tiling';
+import { POLYGON_POST_PROCESSING_TYPES, parsePolygons, parseRegionInput, boxToLocationTokens } from './utils/florence';
+
+// Local models are served from the `models/` folder of the site
+env.localModelPath = `${import.meta.env.BASE_URL}models/`;
 
 async function hasFp16() {
     try {
@@ -16,26 +25,90 @@ async function hasFp16() {
     }
 }
 
+/**
+ * Backend for a device setting; 'auto' uses WebGPU when the browser offers a GPU adapter
+ * @param {string} device - 'auto', 'webgpu' or 'wasm'
+ * @returns {Promise<string>} 'webgpu' or 'wasm'
+ */
+async function resolveDevice(device) {
+    if (device !== 'auto') return device;
+    try {
+        return await navigator.gpu?.requestAdapter() ? 'webgpu' : 'wasm';
+    } catch {
+        return 'wasm';
+    }
+}
+
 /**
  * This class uses the Singleton pattern to ensure that only one instance of the model is loaded.
  */
 class Florence2Singleton {
     static model_id = 'onnx-community/Florence-2-base-ft';
+    static local_files_only = false;
+    static dtype = DEFAULT_DTYPE;
+    static device = DEFAULT_DEVICE;
+    // Backend the model runs on, resolved from `device` when it is loaded
+    static backend = null;
+
+    /**
+     * Switch to another checkpoint or precision, disposing the currently loaded model
+     * @param {string} model_id - Hub id, or folder name under `models/` for local models
+     * @param {boolean} local_files_only - Load from the site's `models/` folder instead of the Hub
+     * @param {Object} dtype - Precision per submodel ('auto', 'fp32', 'fp16', 'q8' or 'q4')
+     * @param {string} device - Execution backend ('auto', 'webgpu' or 'wasm')
+     */
+    static async setModel(model_id, local_files_only = false, dtype = DEFAULT_DTYPE, device = DEFAULT_DEVICE) {
+        if (model_id === this.model_id
+            && local_files_only === this.local_files_only
+            && JSON.stringify(dtype) === JSON.stringify(this.dtype)
+            && device === this.device) return;
+
+        await this.dispose();
+        this.model_id = model_id;
+        this.local_files_only = local_files_only;
+        this.dtype = dtype;
+        this.device = device;
+        this.backend = null;
+    }
+
+    /**
+     * Precision per submodel with 'auto' resolved for this GPU, or fp32 on the CPU
+     */
+    static resolveDtype() {
+        const fp16 = this.backend === 'webgpu' && this.supports_fp16;
+        return Object.fromEntries(Object.entries(this.dtype).map(([key, value]) => [
+            key,
+            value === 'auto' ? (fp16 ? 'fp16' : 'fp32') : value,
+        ]));
+    }
+
+    static async dispose() {
+        if (this.model) {
+            try {
+                const model = await this.model;
+                await model.dispose();
+            } catch (e) {
+                console.warn('Error disposing model:', e);
+            }
+        }
+        this.model = this.tokenizer = this.processor = null;
+    }
 
     static async getInstance(progress_callback = null) {
-        this.processor ??= AutoProcessor.from_pretrained(this.model_id);
-        this.tokenizer ??= AutoTokenizer.from_pretrained(this.model_id);
+        // Only look on the site itself for local models, since its dev server answers unknown paths
+        env.allowLocalModels = this.local_files_only;
+        const options = { local_files_only: this.local_files_only };
+
+        this.processor ??= AutoProcessor.from_pretrained(this.model_id, options);
+        this.tokenizer ??= AutoTokenizer.from_pretrained(this.model_id, options);
 
+        this.backend ??= await resolveDevice(this.device);
         this.supports_fp16 ??= await hasFp16();
         this.model ??= Florence2ForConditionalGeneration.from_pretrained(this.model_id, {
-            dtype: {
-                embed_tokens: this.supports_fp16 ? 'fp16' : 'fp32',
-                vision_encoder: this.supports_fp16 ? 'fp16' : 'fp32',
-                encoder_model: 'q4', // or 'fp16' or 'fp32'
-                decoder_model_merged: 'q4', // or 'fp16' or 'fp32'
-            },
-            device: 'webgpu',
+            dtype: this.resolveDtype(),
+            device: this.backend,
             progress_callback,
+            ...options,
         });
 
         return Promise.all([this.model, this.tokenizer, this.processor]);
@@ -43,14 +116,12 @@ class Florence2Singleton {
 }
 
 
-async function load() {
-    self.postMessage({
-        status: 'loading',
-        data: 'Loading model...'
-    });
-
+/**
+ * Load the model on the current backend and run it once on dummy inputs
+ */
+async function loadAndWarmUp() {
     // Load the pipeline and save it for future use.
-    const [model, tokenizer, processor] = await Florence2Singleton.getInstance(x => {
+    const [model, tokenizer] = await Florence2Singleton.getInstance(x => {
         // We also add a progress callback to the pipeline so that we can
         // track model loading.
         self.postMessage(x);
@@ -58,7 +129,7 @@ async function load() {
 
     self.postMessage({
         status: 'loading',
-        data: 'Compiling shaders and warming up model...'
+        data: Florence2Singleton.backend === 'webgpu' ? 'Compiling shaders and warming up model...' : 'Warming up model...'
     });
 
     // Dummy text and vision inputs
@@ -71,145 +142,387 @@ async function load() {
         pixel_values,
         max_new_tokens: 1,
     });
-
-    self.postMessage({ status: 'ready' });
 }
 
-const TASKS_WITH_INPUTS = [
-    '<CAPTION_TO_PHRASE_GROUNDING>',
-]
+async function load({ model_id, local = false, dtype = DEFAULT_DTYPE, device = DEFAULT_DEVICE } = {}) {
+    self.postMessage({
+        status: 'loading',
+        data: 'Loading model...'
+    });
 
-let vision_inputs;
-let image_size;
-async function run({ text, url, task }) {
-    const [model, tokenizer, processor] = await Florence2Singleton.getInstance();
+    try {
+        if (model_id) {
+            await Florence2Singleton.setModel(model_id, local, dtype, device);
+            // Cached vision inputs belong to the previous model
+            vision_inputs = image_size = null;
+        }
 
-    // Read and preprocess image
-    const start = performance.now();
-    if (!vision_inputs) {
-        // Cache vision inputs when possible
-        const image = await RawImage.fromURL(url);
-        image_size = image.size;
-        vision_inputs = await processor(image);
+        try {
+            await loadAndWarmUp();
+        } catch (error) {
+            // With the automatic choice, a GPU that cannot run the model falls back to the CPU
+            if (Florence2Singleton.device !== 'auto' || Florence2Singleton.backend !== 'webgpu') throw error;
+            console.warn('Failed to run the model with WebGPU, falling back to WASM:', error);
+            self.postMessage({
+                status: 'loading',
+                data: 'WebGPU failed, loading the model on the CPU (WASM)...'
+            });
+            await Florence2Singleton.dispose();
+            Florence2Singleton.backend = 'wasm';
+            await loadAndWarmUp();
+        }
+    } catch (error) {
+        // Drop the failed load so the next attempt starts fresh
+        await Florence2Singleton.dispose();
+        Florence2Singleton.backend = null;
+        self.postMessage({ status: 'error', data: `Failed to load ${Florence2Singleton.model_id}: ${error.message}` });
+        return;
     }
 
-    let user_input = task;
+    self.postMessage({
+        status: 'ready',
+        model_id: Florence2Singleton.model_id,
+        dtype: Florence2Singleton.resolveDtype(),
+        device: Florence2Singleton.backend,
+        fp16: Florence2Singleton.supports_fp16,
+    });
+}
+
+/**
+ * Prompt of a task for one image
+ * @param {string} task - Task token
+ * @param {string} text - User text or region input
+ * @param {number[]} image_size - [width, height] of the image the region refers to
+ * @returns {string}
+ */
+function taskPrompt(task, text, image_size) {
+    if (TASKS_WITH_REGION_INPUTS.includes(task)) {
+        return task + parseRegionInput(text ?? '', image_size);
+    }
     if (TASKS_WITH_INPUTS.includes(task) && text) {
-        user_input += text;
+        return task + text;
+    }
+    return task;
+}
+
+/**
+ * Post-process the generated text of one image
+ * @returns {Object} Post-processed result, keyed by task
+ */
+function postProcess(processor, task, generated_text, image_size) {
+    const post_processing_type = processor.tasks_answer_post_processing_type.get(task);
+    if (POLYGON_POST_PROCESSING_TYPES.includes(post_processing_type)) {
+        return { [task]: parsePolygons(generated_text, post_processing_type, image_size) };
     }
-    const prompts = processor.construct_prompts(user_input);
-    const text_inputs = tokenizer(prompts);
+    const result = processor.post_process_generation(generated_text, task, image_size);
+    if (TASKS_WITH_REGION_INPUTS.includes(task) && typeof result[task] === 'string') {
+        // Region-to-text answers repeat the queried region as location tokens
+        result[task] = result[task].replace(/<loc_\d+>/g, '').trim();
+    }
+    return result;
+}
+
+/**
+ * Run one task against several preprocessed images in a single `generate` call
+ * Prompts are padded to the same length and pixel values are stacked along the batch dimension
+ * @param {Array<{text: string, vision_inputs: Object, image_size: number[]}>} items - One entry per image
+ * @returns {Promise<Object[]>} Post-processed results keyed by task, in the order of `items`
+ */
+async function runTaskBatch({ model, tokenizer, processor }, { task, items, generation }) {
+    // Prepare text input; `construct_prompts` expands an array argument per input, so build one prompt per image
+    const prompts = items.map(({ text, image_size }) => processor.construct_prompts(taskPrompt(task, text, image_size))[0]);
+    const text_inputs = tokenizer(prompts, { padding: true });
+    const pixel_values = items.length === 1
+        ? items[0].vision_inputs.pixel_values
+        : cat(items.map(item => item.vision_inputs.pixel_values), 0);
 
     // Generate text
     const generated_ids = await model.generate({
         ...text_inputs,
-        ...vision_inputs,
-        max_new_tokens: 128,
-        num_beams: 1,
+        pixel_values,
+        ...generation,
         do_sample: false,
     });
 
-    // Decode generated text
-    const generated_text = tokenizer.batch_decode(generated_ids, { skip_special_tokens: false })[0];
+    // Decode generated text, one sequence per image
+    const generated_texts = tokenizer.batch_decode(generated_ids, { skip_special_tokens: false });
+    return generated_texts.map((generated_text, i) => postProcess(processor, task, generated_text, items[i].image_size));
+}
 
-    // Post-process the generated text
-    const result = processor.post_process_generation(generated_text, task, image_size);
+/**
+ * Run one task against already preprocessed vision inputs
+ * @returns {Promise<Object>} Post-processed result, keyed by task
+ */
+async function runTask(instance, { task, text, vision_inputs, image_size, generation }) {
+    const [result] = await runTaskBatch(instance, { task, items: [{ text, vision_inputs, image_size }], generation });
+    return result;
+}
+
+/**
+ * Describe every detected box with a region task (second pass)
+ * @param {Object} taskResult - Result with `bboxes` and `labels` in pixels
+ * @param {string} regionTask - '<REGION_TO_DESCRIPTION>' or '<REGION_TO_CATEGORY>'
+ * @param {number} [batchSize] - Boxes per `generate` call
+ * @returns {Promise<string[]>} One description per box
+ */
+async function describeRegions(instance, { taskResult, regionTask, vision_inputs, image_size, generation, batchSize = 1 }) {
+    const descriptions = [];
+    for (let i = 0; i < taskResult.bboxes.length; i += batchSize) {
+        const items = taskResult.bboxes.slice(i, i + batchSize).map(bbox => ({
+            text: boxToLocationTokens(bbox, image_size),
+            vision_inputs,
+            image_size,
+        }));
+        const results = await runTaskBatch(instance, { task: regionTask, items, generation });
+        descriptions.push(...results.map(result => result[regionTask]));
+    }
+    return descriptions;
+}
 
-    const end = performance.now();
+/**
+ * Run tasks on each tile of a large image
+ * Tiles are cropped and preprocessed once for all tasks, `batchSize` at a time
+ * @param {Array<{left: number, top: number, width: number, height: number}>} tiles - Tiles from `tileGrid`
+ * @param {number} [batchSize] - Tiles per `generate` call
+ * @returns {Promise<Object<string, Array<{result: Object, tile: Object}>>>} Tile-local results per task
+ */
+async function runTiles(instance, { tasks, image, tiles, text, generation, batchSize = 1 }) {
+    const tileResults = Object.fromEntries(tasks.map(task => [task, []]));
+    for (let i = 0; i < tiles.length; i += batchSize) {
+        const batch = tiles.slice(i, i + batchSize);
+        const items = [];
+        for (const tile of batch) {
+            // Crop bounds are inclusive
+            const tileImage = await image.crop([tile.left, tile.top, tile.left + tile.width - 1, tile.top + tile.height - 1]);
+            items.push({ text, vision_inputs: await instance.processor(tileImage), image_size: tileImage.size });
+        }
+        for (const task of tasks) {
+            const results = await runTaskBatch(instance, { task, items, generation });
+            results.forEach((result, j) => tileResults[task].push({ result: result[task], tile: batch[j] }));
+        }
+    }
+    return tileResults;
+}
+
+/**
+ * Convert a task result to flat format similar to fromnode.js
+ * @param {Object|string} taskResult - Post-processed result of one task
+ * @param {string} filename - Image the result belongs to
+ */
+function flattenResult(taskResult, filename) {
+    // For object detection tasks, flatten bboxes
+    if (!taskResult?.bboxes || !taskResult.labels) return taskResult;
+
+    return taskResult.bboxes.map((bbox, j) => ({
+        label: taskResult.labels ? taskResult.labels[j] : '',
+        xmin: Math.round(bbox[0]),
+        ymin: Math.round(bbox[1]),
+        xmax: Math.round(bbox[2]),
+        ymax: Math.round(bbox[3]),
+        image: filename,
+        ...(taskResult.descriptions && { description: taskResult.descriptions[j] })
+    }));
+}
+
+let vision_inputs;
+let image_size;
+async function run({ text, url, task, generation = DEFAULT_GENERATION }) {
+    const [model, tokenizer, processor] = await Florence2Singleton.getInstance();
+
+    const start = performance.now();
+    try {
+        // Read and preprocess image
+        if (!vision_inputs) {
+            // Cache vision inputs when possible
+            const image = await RawImage.fromURL(url);
+            image_size = image.size;
+            vision_inputs = await processor(image);
+        }
+
+        const result = await runTask({ model, tokenizer, processor }, {
+            task, text, vision_inputs, image_size, generation
+        });
+
+        const end = performance.now();
+
+        self.postMessage({ status: 'complete', result, time: end - start });
+    } catch (error) {
+        self.postMessage({ status: 'complete', result: null, time: null, error: error.message });
+    }
+}
+
+// Batch control state, updated by the `cancel`, `pause` and `resume` messages
+// and checked by `runBatch` between images
+let batchCancelled = false;
+let batchPause = null; // { promise, resolve } while paused
+
+function pauseBatch() {
+    if (batchPause) return;
+    let resolve;
+    const promise = new Promise(r => resolve = r);
+    batchPause = { promise, resolve };
+}
+
+function resumeBatch() {
+    batchPause?.resolve();
+    batchPause = null;
+}
+
+function cancelBatch() {
+    batchCancelled = true;
+    // Release a paused loop so it can stop
+    resumeBatch();
+}
+
+/**
+ * Decode and preprocess one image of a batch
+ * @param {Object} imageData - Batch image with `url`
+ * @returns {Promise<{image: RawImage, vision_inputs: Object, image_size: number[]}>}
+ */
+async function prepareImage(processor, imageData) {
+    const image = await RawImage.fromURL(imageData.url);
+    const vision_inputs = await processor(image);
+    return { image, vision_inputs, image_size: image.size };
+}
+
+/**
+ * Run every task on a group of preprocessed images, setting `results` and `rawResults` on each entry
+ * Whole-image runs of a task share one `generate` call; tiles and second-pass
+ * regions of an image are batched on their own
+ * @param {Array<Object>} entries - Prepared images with `imageData`, `input`, `image`, `vision_inputs` and `image_size`
+ */
+async function runImageBatch(instance, { entries, tasks, generation, regionTask, tiling, batchSize }) {
+    for (const entry of entries) {
+        entry.results = {};
+        entry.rawResults = {};
+
+        // Small details are lost when a large image is resized for the model
+        const tiles = tiling?.enabled ? tileGrid(entry.image.width, entry.image.height, tiling) : null;
+        const tiledTasks = tiles ? tasks.filter(task => TASKS_WITH_TILES.includes(task)) : [];
+        entry.tileResults = tiledTasks.length > 0
+            ? await runTiles(instance, { tasks: tiledTasks, image: entry.image, tiles, text: entry.input, generation, batchSize })
+            : {};
+    }
 
-    self.postMessage({ status: 'complete', result, time: end - start });
+    for (const task of tasks) {
+        // Tiled images only need the whole image to find objects larger than a tile
+        const whole = entries.filter(entry => !entry.tileResults[task] || tiling.fullImage);
+        const wholeResults = whole.length > 0
+            ? await runTaskBatch(instance, {
+                task,
+                items: whole.map(({ input, vision_inputs, image_size }) => ({ text: input, vision_inputs, image_size })),
+                generation,
+            })
+            : [];
+
+        for (const entry of entries) {
+            const index = whole.indexOf(entry);
+            let result = index >= 0 ? wholeResults[index][task] : undefined;
+            const parts = entry.tileResults[task];
+            if (parts) {
+                result = mergeTileResults(index >= 0 ? [{ result, tile: { left: 0, top: 0 } }, ...parts] : parts);
+            }
+            if (regionTask && result?.bboxes && result.labels) {
+                result.descriptions = await describeRegions(instance, {
+                    taskResult: result, regionTask, vision_inputs: entry.vision_inputs, image_size: entry.image_size, generation, batchSize
+                });
+            }
+            entry.rawResults[task] = result;
+            entry.results[task] = flattenResult(result, entry.imageData.name);
+        }
+    }
 }
 
-// Run batch processing on multiple images
-async function runBatch({ images, task, text }) {
+// Run batch processing on multiple images, running every task against each image.
+// `batchSize` images share each `generate` call, and the next batch is decoded and
+// preprocessed while the current one generates; results are still posted in order.
+// With `regionTask` set, every detected box is fed back as a region query.
+// With `tiling` enabled, images larger than a tile are also read tile by tile.
+async function runBatch({ images, tasks, text, generation = DEFAULT_GENERATION, regionTask = null, tiling = null, batchSize = 1 }) {
     const [model, tokenizer, processor] = await Florence2Singleton.getInstance();
+    const instance = { model, tokenizer, processor };
+    const size = Math.max(1, Math.floor(batchSize));
 
     const totalStart = performance.now();
     let processedCount = 0;
+    batchCancelled = false;
+    batchPause = null;
+
+    const prepareBatch = (start) => images.slice(start, start + size).map(imageData => {
+        const prepared = prepareImage(processor, imageData);
+        // Failures are reported with the batch; a cancelled run never awaits them
+        prepared.catch(() => {});
+        return prepared;
+    });
+
+    let next = prepareBatch(0);
+    for (let i = 0; i < images.length; i += size) {
+        const batch = images.slice(i, i + size);
+
+        if (batchPause) {
+            self.postMessage({ status: 'batch-paused', current: i, total: images.length });
+            await batchPause.promise;
+            if (!batchCancelled) {
+                self.postMessage({ status: 'batch-resumed' });
+            }
+        }
+        if (batchCancelled) break;
 
-    for (let i = 0; i < images.length; i++) {
-        const imageData = images[i];
-        
         self.postMessage({ 
             status: 'batch-progress', 
-            current: i + 1, 
+            current: i + batch.length, 
             total: images.length,
-            filename: imageData.name
+            filename: batch.map(imageData => imageData.name).join(', ')
         });
 
+        const start = performance.now();
+
+        // Load and process each image once for all tasks, then start on the next batch
+        const prepared = await Promise.allSettled(next);
+        next = i + size < images.length ? prepareBatch(i + size) : [];
+
+        const entries = batch.map((imageData, j) => ({
+            imageData,
+            // Per-image text (e.g. a grounding phrase from a CSV) overrides the shared one
+            input: imageData.text ?? text,
+            ...(prepared[j].status === 'fulfilled' ? prepared[j].value : { error: prepared[j].reason }),
+        }));
+
         try {
-            const start = performance.now();
-            
-            // Load and process image
-            const image = await RawImage.fromURL(imageData.url);
-            const vision_inputs = await processor(image);
-            const image_size = image.size;
-
-            // Prepare text input
-            let user_input = task;
-            if (TASKS_WITH_INPUTS.includes(task) && text) {
-                user_input += text;
-            }
-            const prompts = processor.construct_prompts(user_input);
-            const text_inputs = tokenizer(prompts);
-
-            // Generate text
-            const generated_ids = await model.generate({
-                ...text_inputs,
-                ...vision_inputs,
-                max_new_tokens: 128,
-                num_beams: 1,
-                do_sample: false,
+            await runImageBatch(instance, {
+                entries: entries.filter(entry => !entry.error), tasks, generation, regionTask, tiling, batchSize: size
             });
-
-            // Decode generated text
-            const generated_text = tokenizer.batch_decode(generated_ids, { skip_special_tokens: false })[0];
-
-            // Post-process the generated text
-            const result = processor.post_process_generation(generated_text, task, image_size);
-
-            const end = performance.now();
-
-            // Convert result to flat format similar to fromnode.js
-            let output = result[task];
-            
-            // For object detection tasks, flatten bboxes
-            if (result[task] && result[task].bboxes) {
-                output = [];
-                for (let j = 0; j < result[task].bboxes.length; j++) {
-                    const bbox = result[task].bboxes[j];
-                    const label = result[task].labels ? result[task].labels[j] : '';
-
-                    output.push({
-                        label: label,
-                        xmin: Math.round(bbox[0]),
-                        ymin: Math.round(bbox[1]),
-                        xmax: Math.round(bbox[2]),
-                        ymax: Math.round(bbox[3]),
-                        image: imageData.name
-                    });
-                }
+        } catch (error) {
+            // A failed `generate` call fails every image it was run on
+            for (const entry of entries) {
+                entry.error ??= error;
             }
+        }
 
-            // Send individual result immediately
+        const end = performance.now();
+
+        // Send individual results in image order
+        for (const entry of entries) {
+            if (entry.error) {
+                self.postMessage({
+                    status: 'batch-result',
+                    filename: entry.imageData.name,
+                    error: entry.error.message,
+                    time: 0
+                });
+                continue;
+            }
             self.postMessage({
                 status: 'batch-result',
-                filename: imageData.name,
-                result: output,
-                rawResult: result[task],
-                time: end - start
+                filename: entry.imageData.name,
+                results: entry.results,
+                rawResults: entry.rawResults,
+                image_size: entry.image_size,
+                ...(tasks.some(task => TASKS_WITH_INPUTS.includes(task)) && { input: entry.input }),
+                // Share of the batch time
+                time: (end - start) / batch.length
             });
-
             processedCount++;
-
-        } catch (error) {
-            // Send error result
-            self.postMessage({
-                status: 'batch-result',
-                filename: imageData.name,
-                error: error.message,
-                time: 0
-            });
         }
     }
 
@@ -219,7 +532,8 @@ async function runBatch({ images, task, text }) {
     self.postMessage({ 
         status: 'batch-complete',
         total: processedCount,
-        totalTime: totalEnd - totalStart 
+        totalTime: totalEnd - totalStart,
+        cancelled: batchCancelled
     });
 }
 
@@ -229,7 +543,7 @@ self.addEventListener('message', async (e) => {
 
     switch (type) {
         case 'load':
-            load();
+            load(data);
             break;
 
         case 'run':
@@ -240,6 +554,18 @@ self.addEventListener('message', async (e) => {
             runBatch(data);
             break;
 
+        case 'cancel':
+            cancelBatch();
+            break;
+
+        case 'pause':
+            pauseBatch();
+            break;
+
+        case 'resume':
+            resumeBatch();
+            break;
+
         case 'reset':
             vision_inputs = image_size = null;
             break;